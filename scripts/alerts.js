@@ -0,0 +1,292 @@
+// Watchlist alerts
+//
+// Each run's new deals are checked against the watchlists in
+// config/alerts.json (or ALERTS_CONFIG). A watchlist matches a deal when every
+// criterion it sets matches (any value in a list will do):
+//
+//   eventTypes    equity, debt, acquisition, ipo, shutdown
+//   industries    substring of the deal's industry, case-insensitive
+//   rounds        funding rounds (Seed, Series A, ...)
+//   minAmountUsd  disclosed amount in USD at least this much
+//   investors     investor names (aliases resolved)
+//   companies     company names (legal suffixes ignored)
+//
+// Matching deals are sent in one message per channel: a Slack-compatible
+// webhook (SLACK_WEBHOOK_URL) and/or email over SMTP (SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE, SMTP_USER, SMTP_PASS, ALERT_EMAIL_FROM, ALERT_EMAIL_TO).
+// A watchlist can limit itself to some channels with "channels": [...].
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { sendMail } = require('./smtp');
+const { normalizeCompanyName } = require('./entity-resolution');
+const { resolveInvestor } = require('./investor-aliases');
+const { formatUsd } = require('./profiles');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'alerts.json');
+
+const CHANNELS = ['slack', 'email'];
+const LIST_CRITERIA = ['eventTypes', 'industries', 'rounds', 'investors', 'companies', 'channels'];
+
+function validateAlertsConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object') return ['config must be an object'];
+  if (!Array.isArray(config.watchlists)) errors.push('"watchlists" must be an array');
+
+  (config.watchlists || []).forEach((watchlist, index) => {
+    const label = `watchlists[${index}]`;
+    if (!watchlist || typeof watchlist.name !== 'string' || !watchlist.name.trim()) {
+      errors.push(`${label}.name is required`);
+      return;
+    }
+    for (const key of LIST_CRITERIA) {
+      if (watchlist[key] !== undefined && !(Array.isArray(watchlist[key]) && watchlist[key].every(item => typeof item === 'string'))) {
+        errors.push(`${label}.${key} must be an array of strings`);
+      }
+    }
+    if (watchlist.minAmountUsd !== undefined && !(typeof watchlist.minAmountUsd === 'number' && watchlist.minAmountUsd >= 0)) {
+      errors.push(`${label}.minAmountUsd must be a non-negative number`);
+    }
+    for (const channel of watchlist.channels || []) {
+      if (!CHANNELS.includes(channel)) errors.push(`${label}.channels lists unknown channel "${channel}"`);
+    }
+  });
+
+  for (const channel of (config.digest && config.digest.channels) || []) {
+    if (!CHANNELS.includes(channel)) errors.push(`digest.channels lists unknown channel "${channel}"`);
+  }
+  return errors;
+}
+
+function loadAlertsConfig(configPath = process.env.ALERTS_CONFIG || DEFAULT_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read alerts config ${configPath}: ${error.message}`);
+  }
+  const errors = validateAlertsConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${configPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+// Channel settings from the config with env overrides; unconfigured channels are left out
+function resolveChannels(config, env = process.env) {
+  const channels = (config && config.channels) || {};
+  const resolved = {};
+
+  const slack = { ...channels.slack };
+  if (env.SLACK_WEBHOOK_URL) slack.webhookUrl = env.SLACK_WEBHOOK_URL;
+  if (slack.webhookUrl) resolved.slack = slack;
+
+  const email = { ...channels.email };
+  const overrides = {
+    host: env.SMTP_HOST,
+    port: env.SMTP_PORT && Number(env.SMTP_PORT),
+    secure: env.SMTP_SECURE && /^(1|true|yes|on)$/i.test(env.SMTP_SECURE),
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    from: env.ALERT_EMAIL_FROM,
+    to: env.ALERT_EMAIL_TO && env.ALERT_EMAIL_TO.split(',').map(address => address.trim()).filter(Boolean),
+  };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== '') email[key] = value;
+  }
+  if (email.host && email.from && Array.isArray(email.to) && email.to.length > 0) resolved.email = email;
+
+  return resolved;
+}
+
+// Reasons a watchlist matches a deal, or null if it doesn't
+function matchWatchlist(entry, watchlist) {
+  const reasons = [];
+  const eventType = entry.event_type || 'equity';
+
+  if (watchlist.eventTypes) {
+    if (!watchlist.eventTypes.includes(eventType)) return null;
+    reasons.push(eventType);
+  }
+  if (watchlist.industries) {
+    const industry = String(entry.industry || '').toLowerCase();
+    const hit = watchlist.industries.find(item => industry.includes(item.toLowerCase()));
+    if (!hit) return null;
+    reasons.push(`industry ${entry.industry}`);
+  }
+  if (watchlist.rounds) {
+    const round = String(entry.funding_round || '').toLowerCase();
+    if (!watchlist.rounds.some(item => item.toLowerCase() === round)) return null;
+    reasons.push(entry.funding_round);
+  }
+  if (watchlist.minAmountUsd !== undefined) {
+    if (!(entry.amount_usd >= watchlist.minAmountUsd)) return null;
+    reasons.push(`${formatUsd(entry.amount_usd)} ≥ ${formatUsd(watchlist.minAmountUsd) || '$0'}`);
+  }
+  if (watchlist.investors) {
+    const wanted = new Set(watchlist.investors.map(name => resolveInvestor(name)));
+    const investors = (entry.investors || String(entry.investor_name || '').split(/\s*,\s*/))
+      .filter(Boolean)
+      .map(name => resolveInvestor(name));
+    const hits = investors.filter(name => wanted.has(name));
+    if (hits.length === 0) return null;
+    reasons.push(`backed by ${hits.join(', ')}`);
+  }
+  if (watchlist.companies) {
+    const company = normalizeCompanyName(entry.company);
+    const acquirer = entry.acquirer ? normalizeCompanyName(entry.acquirer) : null;
+    const hit = watchlist.companies.find(name => [company, acquirer].includes(normalizeCompanyName(name)));
+    if (!hit) return null;
+    reasons.push(`company ${hit}`);
+  }
+  return reasons;
+}
+
+// [{ entry, matches: [{ watchlist, reasons }] }] for entries matching any watchlist
+function matchEntries(entries, watchlists) {
+  const matched = [];
+  for (const entry of entries) {
+    const matches = watchlists
+      .map(watchlist => ({ watchlist, reasons: matchWatchlist(entry, watchlist) }))
+      .filter(match => match.reasons);
+    if (matches.length > 0) matched.push({ entry, matches });
+  }
+  return matched;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function amountText(entry) {
+  return entry.amount && entry.amount !== 'Undisclosed' ? entry.amount : '';
+}
+
+// One-line summary of a deal in plain words
+function dealHeadline(entry) {
+  const amount = amountText(entry);
+  switch (entry.event_type) {
+    case 'acquisition':
+      return `${entry.acquirer || 'Undisclosed buyer'} acquired ${entry.company}${amount ? ` for ${amount}` : ''}`;
+    case 'ipo':
+      return `${entry.company} IPO${entry.listing_exchange ? ` on ${entry.listing_exchange}` : ''}${amount ? ` (${amount})` : ''}`;
+    case 'shutdown':
+      return `${entry.company} shut down`;
+    default: {
+      const round = entry.funding_round && entry.funding_round !== 'Unknown' ? entry.funding_round : '';
+      const kind = entry.event_type === 'debt' ? 'in debt' : round;
+      return `${entry.company} raised ${amount || 'an undisclosed amount'}${kind ? ` ${round ? `(${kind})` : kind}` : ''}`;
+    }
+  }
+}
+
+function dealDetails(entry) {
+  return [
+    entry.industry,
+    entry.investor_name && `Investors: ${entry.investor_name}`,
+    entry.funding_news_date,
+  ].filter(Boolean).join(' · ');
+}
+
+// A deal as a list item in `format`: markdown, html or slack (mrkdwn)
+function formatDeal(entry, format, note = '') {
+  const headline = dealHeadline(entry);
+  const details = dealDetails(entry);
+  const url = entry.source;
+  if (format === 'html') {
+    const title = url ? `<a href="${escapeHtml(url)}">${escapeHtml(headline)}</a>` : escapeHtml(headline);
+    return `<li><strong>${title}</strong>${details ? `<br><small>${escapeHtml(details)}</small>` : ''}${note ? `<br><em>${escapeHtml(note)}</em>` : ''}</li>`;
+  }
+  if (format === 'slack') {
+    const title = url ? `<${url}|${headline.replace(/[<>|]/g, '')}>` : headline;
+    return `• *${title}*${details ? `\n    ${details}` : ''}${note ? `\n    _${note}_` : ''}`;
+  }
+  const title = url ? `[${headline}](${url})` : headline;
+  return `- **${title}**${details ? `  \n  ${details}` : ''}${note ? `  \n  _${note}_` : ''}`;
+}
+
+function matchNote(matches) {
+  return `Matches ${matches.map(({ watchlist, reasons }) => `${watchlist.name} (${reasons.join(', ')})`).join('; ')}`;
+}
+
+// Alert message for matched deals in every format a channel needs
+function renderAlert(matched) {
+  const subject = matched.length === 1
+    ? `FundTrackr alert: ${dealHeadline(matched[0].entry)}`
+    : `FundTrackr alert: ${matched.length} new deals on your watchlists`;
+  const intro = `${matched.length} new deal${matched.length === 1 ? '' : 's'} on your watchlists`;
+
+  return {
+    subject,
+    text: [`${intro}:`, '', ...matched.map(({ entry, matches }) => formatDeal(entry, 'markdown', matchNote(matches)))].join('\n') + '\n',
+    html: `<p>${escapeHtml(intro)}:</p>\n<ul>\n${matched.map(({ entry, matches }) => formatDeal(entry, 'html', matchNote(matches))).join('\n')}\n</ul>\n`,
+    slack: [`*${intro}:*`, ...matched.map(({ entry, matches }) => formatDeal(entry, 'slack', matchNote(matches)))].join('\n'),
+  };
+}
+
+// Deliver a rendered message ({ subject, text, html, slack }) to one channel
+async function sendToChannel(name, settings, message) {
+  if (name === 'slack') {
+    await axios.post(settings.webhookUrl, { text: message.slack || message.text }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: settings.timeout || 10000,
+    });
+    return;
+  }
+  if (name === 'email') {
+    await sendMail(settings, { from: settings.from, to: settings.to, subject: message.subject, text: message.text, html: message.html });
+    return;
+  }
+  throw new Error(`Unknown channel "${name}"`);
+}
+
+// Send `message` to each named channel that is configured; a failing channel
+// doesn't stop the others. Returns [{ channel, ok, error }].
+async function notify(message, channelNames, channels) {
+  const results = [];
+  for (const name of channelNames) {
+    if (!channels[name]) continue;
+    try {
+      await sendToChannel(name, channels[name], message);
+      results.push({ channel: name, ok: true });
+    } catch (error) {
+      results.push({ channel: name, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+// Check new deals against the watchlists and alert on every channel the
+// matching watchlists allow. Returns { matched, results }.
+async function sendAlerts(entries, { config = loadAlertsConfig(), env = process.env } = {}) {
+  const channels = resolveChannels(config, env);
+  const matched = matchEntries(entries, config.watchlists);
+  const results = [];
+
+  for (const name of Object.keys(channels)) {
+    const forChannel = matched
+      .map(({ entry, matches }) => ({
+        entry,
+        matches: matches.filter(({ watchlist }) => !watchlist.channels || watchlist.channels.includes(name)),
+      }))
+      .filter(item => item.matches.length > 0);
+    if (forChannel.length === 0) continue;
+    results.push(...await notify(renderAlert(forChannel), [name], channels));
+  }
+  return { matched, results };
+}
+
+module.exports = {
+  CHANNELS,
+  loadAlertsConfig,
+  resolveChannels,
+  matchWatchlist,
+  matchEntries,
+  renderAlert,
+  formatDeal,
+  dealHeadline,
+  escapeHtml,
+  notify,
+  sendAlerts,
+};
@@ -0,0 +1,351 @@
+// Local read-only HTTP API and dashboard
+//
+// Serves the deal store without Google credentials or network access:
+//
+//   GET /                  HTML dashboard: weekly totals by sector and round, latest deals
+//   GET /deals             deals, newest first
+//   GET /companies         company profiles
+//   GET /investors         investor profiles
+//   GET /stats/weekly      the dashboard's weekly totals as JSON
+//
+// List endpoints take from/to (YYYY-MM-DD), round, industry, event_type,
+// min_amount/max_amount (USD), q (name contains), page and per_page, and
+// answer { data, pagination }. Add format=csv (or request /deals.csv etc.)
+// for every matching row as CSV. For /companies and /investors the date,
+// round, industry and event filters pick the deals a profile is built from,
+// and the amount range applies to the profile's total.
+//
+// The store file is re-read when it changes, so a running server picks up
+// new scrapes. Nothing is ever written.
+
+const fs = require('fs');
+const http = require('http');
+const { openStore, DEFAULT_DB_PATH } = require('./store');
+const { COLUMNS } = require('./sheets-sync');
+const { toCSV } = require('./sinks');
+const { escapeHtml } = require('./alerts');
+const { parseDate, today, addDays } = require('./dates');
+const {
+  buildCompanyProfiles,
+  buildInvestorProfiles,
+  formatUsd,
+  sectorsOf,
+  isRound,
+  COMPANY_COLUMNS,
+  INVESTOR_COLUMNS,
+} = require('./profiles');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 500;
+const DEFAULT_WEEKS = 8;
+const MAX_WEEKS = 52;
+const DASHBOARD_DEALS = 20;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Responds with status and message instead of a 500
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Query parameters each list endpoint accepts: name -> 'date' | 'number' | 'integer' | 'boolean' | 'string'
+const LIST_PARAMS = {
+  from: 'date',
+  to: 'date',
+  round: 'string',
+  industry: 'string',
+  event_type: 'string',
+  min_amount: 'number',
+  max_amount: 'number',
+  q: 'string',
+  page: 'integer',
+  per_page: 'integer',
+  format: 'string',
+};
+
+function parseQuery(searchParams, spec) {
+  const query = {};
+  for (const [name, value] of searchParams) {
+    const type = spec[name];
+    if (!type) throw new RequestError(400, `Unknown parameter "${name}"`);
+    // The pattern alone lets through days that don't exist (2026-13-01, 2026-02-30)
+    if (type === 'date' && !(DATE.test(value) && parseDate(value))) throw new RequestError(400, `${name} must be a date (YYYY-MM-DD), got "${value}"`);
+    if (type === 'number' && !(value !== '' && Number(value) >= 0)) throw new RequestError(400, `${name} must be a non-negative number, got "${value}"`);
+    if (type === 'integer' && !/^[1-9]\d*$/.test(value)) throw new RequestError(400, `${name} must be a positive whole number, got "${value}"`);
+    if (type === 'boolean' && !['true', 'false'].includes(value)) throw new RequestError(400, `${name} must be true or false, got "${value}"`);
+    query[name] = type === 'number' || type === 'integer' ? Number(value) : type === 'boolean' ? value === 'true' : value;
+  }
+  if (query.format && !['json', 'csv'].includes(query.format)) throw new RequestError(400, `format must be json or csv, got "${query.format}"`);
+  if (query.from && query.to && query.to < query.from) throw new RequestError(400, 'to must not be before from');
+  if (query.per_page > MAX_PER_PAGE) throw new RequestError(400, `per_page must be at most ${MAX_PER_PAGE}`);
+  return query;
+}
+
+const contains = (value, text) => String(value || '').toLowerCase().includes(text.toLowerCase());
+
+// Deals passing the date, round, industry and event filters
+function filterDeals(deals, query) {
+  return deals.filter(deal =>
+    (!query.from || deal.funding_news_date >= query.from)
+    && (!query.to || deal.funding_news_date <= query.to)
+    && (!query.round || String(deal.funding_round || '').toLowerCase() === query.round.toLowerCase())
+    && (!query.industry || contains(deal.industry, query.industry))
+    && (!query.event_type || (deal.event_type || 'equity') === query.event_type));
+}
+
+function inAmountRange(value, query) {
+  if (query.min_amount === undefined && query.max_amount === undefined) return true;
+  if (!value) return false;
+  return (query.min_amount === undefined || value >= query.min_amount)
+    && (query.max_amount === undefined || value <= query.max_amount);
+}
+
+// Full records minus per-field provenance, like the JSONL export
+function publicDeal(deal) {
+  const { provenance, ...record } = deal;
+  return record;
+}
+
+const RESOURCES = {
+  deals: {
+    columns: COLUMNS,
+    params: { ...LIST_PARAMS, investor: 'string', archived: 'boolean' },
+    list: (data, query) => filterDeals(query.archived ? data.deals : data.current, query)
+      .filter(deal => inAmountRange(deal.amount_usd, query))
+      .filter(deal => !query.q || contains(deal.company, query.q) || contains(deal.acquirer, query.q))
+      .filter(deal => !query.investor || contains(deal.investor_name, query.investor))
+      .sort((a, b) => String(b.funding_news_date).localeCompare(String(a.funding_news_date)))
+      .map(publicDeal),
+  },
+  companies: {
+    columns: COMPANY_COLUMNS,
+    params: LIST_PARAMS,
+    list: (data, query) => buildCompanyProfiles(filterDeals(data.deals, query))
+      .filter(profile => inAmountRange(profile.total_raised_usd, query))
+      .filter(profile => !query.q || contains(profile.company, query.q)),
+  },
+  investors: {
+    columns: INVESTOR_COLUMNS,
+    params: LIST_PARAMS,
+    list: (data, query) => buildInvestorProfiles(filterDeals(data.deals, query))
+      .filter(profile => inAmountRange(profile.round_volume_usd, query))
+      .filter(profile => !query.q || contains(profile.investor, query.q)),
+  },
+};
+
+// Monday of the week `date` falls in
+function weekStart(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().split('T')[0];
+}
+
+function addTotal(totals, key, deal) {
+  const total = totals[key] || (totals[key] = { deals: 0, amount_usd: 0 });
+  total.deals++;
+  total.amount_usd += deal.amount_usd || 0;
+}
+
+// Funding rounds per week (the last `weeks` weeks up to `until`), overall and by sector and round
+function weeklyTotals(deals, { weeks = DEFAULT_WEEKS, until = today() } = {}) {
+  const starts = [];
+  for (let i = weeks - 1; i >= 0; i--) starts.push(addDays(weekStart(until), -7 * i));
+
+  const result = starts.map(week => ({ week, total: { deals: 0, amount_usd: 0 }, sectors: {}, rounds: {} }));
+  const byWeek = new Map(result.map(item => [item.week, item]));
+
+  for (const deal of deals) {
+    if (!isRound(deal) || !deal.funding_news_date || deal.funding_news_date > until) continue;
+    const bucket = byWeek.get(weekStart(deal.funding_news_date));
+    if (!bucket) continue;
+    addTotal(bucket, 'total', deal);
+    const sectors = sectorsOf(deal);
+    (sectors.length ? sectors : ['Unknown']).forEach(sector => addTotal(bucket.sectors, sector, deal));
+    addTotal(bucket.rounds, deal.funding_round || 'Unknown', deal);
+  }
+  return result;
+}
+
+function cell(total) {
+  if (!total) return '<td></td>';
+  return `<td>${total.deals}${total.amount_usd ? `<br><small>${formatUsd(total.amount_usd)}</small>` : ''}</td>`;
+}
+
+// Rows of `key` (sectors or rounds) across weeks, busiest first
+function breakdownTable(title, weeks, key) {
+  const names = new Map();
+  for (const week of weeks) {
+    for (const [name, total] of Object.entries(week[key])) names.set(name, (names.get(name) || 0) + total.deals);
+  }
+  if (names.size === 0) return '';
+  const rows = [...names.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name]) => `<tr><th>${escapeHtml(name)}</th>${weeks.map(week => cell(week[key][name])).join('')}</tr>`);
+  return `<h2>${title}</h2>
+<table>
+<tr><th></th>${weeks.map(week => `<th>${week.week}</th>`).join('')}</tr>
+${rows.join('\n')}
+<tr class="total"><th>All rounds</th>${weeks.map(week => cell(week.total)).join('')}</tr>
+</table>`;
+}
+
+// Feed-supplied source URLs are only linked when they are web pages (no javascript: and the like)
+function isWebUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function renderDashboard(data, weeks) {
+  const latest = [...data.current]
+    .sort((a, b) => String(b.funding_news_date).localeCompare(String(a.funding_news_date)))
+    .slice(0, DASHBOARD_DEALS);
+  const dealRows = latest.map(deal => `<tr>
+<td>${escapeHtml(deal.funding_news_date || '')}</td>
+<td>${isWebUrl(deal.source) ? `<a href="${escapeHtml(deal.source)}">${escapeHtml(deal.company)}</a>` : escapeHtml(deal.company)}</td>
+<td>${escapeHtml(deal.event_type || 'equity')}</td>
+<td>${escapeHtml(deal.funding_round || '')}</td>
+<td>${escapeHtml(deal.amount || '')}</td>
+<td>${escapeHtml(deal.industry || '')}</td>
+<td>${escapeHtml(deal.investor_name || '')}</td>
+</tr>`);
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>FundTrackr</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+tr.total { background: #f4f4f4; }
+small { color: #666; }
+</style></head>
+<body>
+<h1>FundTrackr</h1>
+<p>${data.deals.length} deals in the store (${data.current.length} current), last updated ${escapeHtml(data.updatedAt)}.
+Download: <a href="/deals.csv">deals.csv</a> · <a href="/companies.csv">companies.csv</a> · <a href="/investors.csv">investors.csv</a></p>
+${breakdownTable('Funding rounds by sector, per week', weeks, 'sectors')}
+${breakdownTable('Funding rounds by round, per week', weeks, 'rounds')}
+<h2>Latest deals</h2>
+<table>
+<tr><th>Date</th><th>Company</th><th>Event</th><th>Round</th><th>Amount</th><th>Industry</th><th>Investors</th></tr>
+${dealRows.join('\n')}
+</table>
+</body></html>
+`;
+}
+
+// { deals (archived included), current, updatedAt } from the store,
+// re-read whenever the file changes
+function createDataSource(dbPath = process.env.FUNDTRACKR_DB || DEFAULT_DB_PATH) {
+  let cached = null;
+  return async () => {
+    const mtime = fs.existsSync(dbPath) ? fs.statSync(dbPath).mtimeMs : 0;
+    if (cached && cached.mtime === mtime) return cached;
+
+    const store = await openStore(dbPath);
+    try {
+      cached = {
+        mtime,
+        updatedAt: mtime ? new Date(mtime).toISOString().replace(/\.\d+Z$/, 'Z') : 'never',
+        deals: store.loadEntries({ includeArchived: true }),
+        current: store.loadEntries(),
+      };
+      return cached;
+    } finally {
+      store.close();
+    }
+  };
+}
+
+function send(res, status, type, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store', ...headers });
+  res.end(body);
+}
+
+function sendJSON(res, status, body) {
+  send(res, status, 'application/json; charset=utf-8', JSON.stringify(body, null, 2) + '\n');
+}
+
+async function handle(req, res, loadData) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    throw new RequestError(405, 'This API is read-only');
+  }
+  const url = new URL(req.url, 'http://localhost');
+  const route = url.pathname.replace(/\/+$/, '') || '/';
+
+  if (route === '/health') return sendJSON(res, 200, { ok: true });
+
+  if (route === '/' || route === '/stats/weekly') {
+    const { weeks = DEFAULT_WEEKS, until } = parseQuery(url.searchParams, { weeks: 'integer', until: 'date' });
+    if (weeks > MAX_WEEKS) throw new RequestError(400, `weeks must be at most ${MAX_WEEKS}`);
+    const data = await loadData();
+    const totals = weeklyTotals(data.deals, { weeks, until });
+    if (route === '/') return send(res, 200, 'text/html; charset=utf-8', renderDashboard(data, totals));
+    return sendJSON(res, 200, { data: totals });
+  }
+
+  const [, name, extension] = route.match(/^\/(\w+)(\.csv)?$/) || [];
+  const resource = RESOURCES[name];
+  if (!resource) throw new RequestError(404, `Not found: ${url.pathname}`);
+
+  const query = parseQuery(url.searchParams, resource.params);
+  const items = resource.list(await loadData(), query);
+
+  if (extension || query.format === 'csv') {
+    return send(res, 200, 'text/csv; charset=utf-8', toCSV(items, resource.columns), {
+      'Content-Disposition': `attachment; filename="${name}.csv"`,
+    });
+  }
+
+  const page = query.page || 1;
+  const perPage = query.per_page || DEFAULT_PER_PAGE;
+  return sendJSON(res, 200, {
+    data: items.slice((page - 1) * perPage, page * perPage),
+    pagination: { page, per_page: perPage, total: items.length, pages: Math.ceil(items.length / perPage) },
+  });
+}
+
+function createServer({ loadData = createDataSource() } = {}) {
+  return http.createServer((req, res) => {
+    handle(req, res, loadData).catch(error => {
+      const status = error.status || 500;
+      if (status === 500) console.error('❌ API error:', error.message);
+      sendJSON(res, status, { error: error.message });
+    });
+  });
+}
+
+// Start the server; resolves with { server, url }
+function startServer({ port = Number(process.env.PORT) || DEFAULT_PORT, host = DEFAULT_HOST, loadData } = {}) {
+  const server = createServer({ loadData });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({ server, url: `http://${host}:${server.address().port}` });
+    });
+  });
+}
+
+if (require.main === module) {
+  startServer()
+    .then(({ url }) => console.log(`🌐 FundTrackr API and dashboard on ${url}`))
+    .catch(error => {
+      console.error('❌ Could not start the server:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createServer,
+  startServer,
+  createDataSource,
+  weeklyTotals,
+  RESOURCES,
+};
@@ -0,0 +1,230 @@
+// Full-text article fetching
+//
+// Feed descriptions are often a one-line teaser, which is where most missing
+// investors and amounts come from. For feeds that opt in (`fullText` in
+// config/feeds.json) the article page is downloaded, reduced to its main text
+// with a readability-style scorer and cached on disk by URL, so reruns and
+// reprocessing don't hit the publisher again.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { parseXML, htmlToText } = require('./feed-parser');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_CACHE_DIR = path.join(ROOT, 'data', 'cache', 'articles');
+
+// Pages shorter than this after extraction are paywalls, consent walls or errors
+const MIN_TEXT_LENGTH = 200;
+
+// Elements that never hold article text
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'select', 'nav', 'header', 'footer', 'aside'];
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Blocks whose text we keep from the winning container
+const TEXT_BLOCKS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'pre', 'figcaption'];
+
+const POSITIVE_HINTS = /article|body|content|entry|main|post|story|text/i;
+const NEGATIVE_HINTS = /comment|footer|sidebar|related|share|social|nav|menu|promo|advert|\bads?\b|newsletter|subscribe|widget|byline|author-bio|tags|breadcrumb|popup|modal|cookie/i;
+
+function cacheDir() {
+  return process.env.ARTICLE_CACHE_DIR || DEFAULT_CACHE_DIR;
+}
+
+function cachePath(url) {
+  const key = crypto.createHash('sha256').update(url).digest('hex');
+  return path.join(cacheDir(), `${key}.json`);
+}
+
+function readCache(url, maxAgeDays) {
+  try {
+    const cached = JSON.parse(fs.readFileSync(cachePath(url), 'utf8'));
+    const age = Date.now() - new Date(cached.fetched_at).getTime();
+    if (cached.url === url && age <= maxAgeDays * 86400000) return cached;
+  } catch (error) {
+    // Missing or unreadable cache entries are simply refetched
+  }
+  return null;
+}
+
+function writeCache(url, text) {
+  const filePath = cachePath(url);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ url, fetched_at: new Date().toISOString(), text }));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Remove cache entries older than `maxAgeDays`; returns how many were deleted
+function pruneArticleCache(maxAgeDays) {
+  let removed = 0;
+  let files;
+  try {
+    files = fs.readdirSync(cacheDir());
+  } catch (error) {
+    return 0;
+  }
+  const cutoff = Date.now() - maxAgeDays * 86400000;
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const filePath = path.join(cacheDir(), file);
+    if (fs.statSync(filePath).mtimeMs < cutoff) {
+      fs.unlinkSync(filePath);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Drop markup that can't be article text and make HTML's void elements
+// self-closing so the XML reader doesn't nest the rest of the page in them
+function prepareHTML(html) {
+  const blocks = new RegExp(`<(${BOILERPLATE_TAGS.join('|')})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`, 'gi');
+  const voids = new RegExp(`<(${VOID_TAGS.join('|')})\\b([^>]*?)\\/?>`, 'gi');
+  return String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(blocks, '')
+    .replace(voids, '<$1$2/>')
+    .replace(/<\/?([A-Za-z][\w:-]*)/g, tag => tag.toLowerCase());
+}
+
+function elementsOf(node) {
+  return node.children.filter(child => typeof child === 'object');
+}
+
+function textOf(node) {
+  return node.children.map(child => {
+    if (typeof child === 'string') return child;
+    return child.local === 'br' ? '\n' : textOf(child);
+  }).join('');
+}
+
+function linkTextLength(node) {
+  return elementsOf(node).reduce((total, child) => {
+    return total + (child.local === 'a' ? textOf(child).length : linkTextLength(child));
+  }, 0);
+}
+
+function linkDensity(node) {
+  const length = textOf(node).trim().length;
+  return length === 0 ? 0 : linkTextLength(node) / length;
+}
+
+function classWeight(node) {
+  const hints = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+  let weight = 0;
+  if (POSITIVE_HINTS.test(hints)) weight += 25;
+  if (NEGATIVE_HINTS.test(hints)) weight -= 25;
+  if (node.local === 'article' || node.local === 'main') weight += 25;
+  return weight;
+}
+
+function walk(node, visit, ancestors = []) {
+  for (const child of elementsOf(node)) {
+    visit(child, ancestors);
+    walk(child, visit, [child, ...ancestors]);
+  }
+}
+
+// Readability-style scoring: every paragraph scores its parent in full and
+// its grandparent by half; the container with the best link-adjusted score
+// is the article body.
+function findMainContainer(root) {
+  const scores = new Map();
+  const addScore = (node, score) => {
+    if (!scores.has(node)) scores.set(node, classWeight(node));
+    scores.set(node, scores.get(node) + score);
+  };
+
+  walk(root, (node, ancestors) => {
+    if (!['p', 'pre', 'blockquote'].includes(node.local)) return;
+    const text = textOf(node).trim();
+    if (text.length < 25) return;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    if (ancestors[0]) addScore(ancestors[0], score);
+    if (ancestors[1]) addScore(ancestors[1], score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity(node));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+// Paragraph-level text of the container, skipping link lists and widgets
+function containerText(container) {
+  const blocks = [];
+  walk(container, (node, ancestors) => {
+    if (!TEXT_BLOCKS.includes(node.local)) return;
+    // Nested blocks (a <p> in an <li>) are covered by their outermost block
+    if (ancestors.some(ancestor => ancestor !== container && TEXT_BLOCKS.includes(ancestor.local))) return;
+    if ([node, ...ancestors].some(element => element !== container && NEGATIVE_HINTS.test(`${element.attrs.class || ''} ${element.attrs.id || ''}`))) return;
+
+    const text = textOf(node).replace(/\s+/g, ' ').trim();
+    if (text && linkDensity(node) < 0.5) blocks.push(text);
+  }, [container]);
+  return blocks.join('\n\n');
+}
+
+// Extract the main article text from a page's HTML
+function extractMainText(html) {
+  const prepared = prepareHTML(html);
+  const container = findMainContainer(parseXML(prepared));
+  const text = container ? containerText(container) : '';
+  return (text.length >= MIN_TEXT_LENGTH ? text : htmlToText(prepared))
+    .replace(/[\u00a0\u2002\u2003\u2009]/g, ' ')
+    .trim();
+}
+
+// Cut at the last sentence (or word) boundary before `maxChars`
+function truncateText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const sentence = cut.lastIndexOf('. ');
+  return (sentence > maxChars * 0.6 ? cut.slice(0, sentence + 1) : cut.replace(/\s+\S*$/, '')) + ' …';
+}
+
+// Clean body text for an article, or null when its feed hasn't opted in or
+// the page can't be used. Returns { text, cached }.
+async function fetchArticleText(article, feed) {
+  const settings = feed && feed.fullText;
+  if (!settings || !settings.enabled || !article.link) return null;
+
+  const cached = readCache(article.link, settings.cacheDays);
+  if (cached) return { text: truncateText(cached.text, settings.maxChars), cached: true };
+
+  const response = await axios.get(article.link, {
+    timeout: feed.timeout,
+    headers: { Accept: 'text/html,application/xhtml+xml', ...feed.headers },
+    responseType: 'text',
+    maxContentLength: settings.maxBytes,
+    maxRedirects: 5,
+  });
+
+  const contentType = String(response.headers['content-type'] || '');
+  if (contentType && !/html/i.test(contentType)) {
+    throw new Error(`unexpected content type "${contentType}"`);
+  }
+
+  const text = extractMainText(response.data);
+  if (text.length < MIN_TEXT_LENGTH) {
+    throw new Error(`only ${text.length} characters of text found`);
+  }
+
+  writeCache(article.link, text);
+  return { text: truncateText(text, settings.maxChars), cached: false };
+}
+
+module.exports = {
+  fetchArticleText,
+  extractMainText,
+  pruneArticleCache,
+  truncateText,
+};
@@ -0,0 +1,389 @@
+// Historical backfill from feed archives and sitemaps
+//
+// A feed only shows its latest items, so `fundtrackr backfill` finds older
+// articles for a date range by walking, per feed (`backfill` in
+// config/feeds.json):
+//
+//   paged     the feed's own pages, ?paged=2, ?paged=3, ... (WordPress) until
+//             the items are older than the range
+//   archive   date archive pages from a URL template such as
+//             https://example.com/{yyyy}/{mm}/{dd}/ (plus /page/N/)
+//   sitemap   sitemap.xml / sitemap indexes, using <lastmod> and Google News
+//             <news:publication_date> / <news:title>
+//
+// Found articles go through the normal classify/queue/extract/dedupe
+// pipeline. Requests to a feed's site are spaced `delayMs` apart and 429/503
+// replies are retried after Retry-After. Every listing page walked is recorded
+// in the store per date range, so an interrupted backfill picks up where it
+// stopped (the queue keeps articles found but not yet extracted).
+
+const zlib = require('zlib');
+const axios = require('axios');
+const { parseFeed, parseXML, htmlToText, decodeEntities } = require('./feed-parser');
+const { matchesFeedKeywords, normalizeHost } = require('./feeds');
+const { canonicalUrl } = require('./canonical-url');
+const { log } = require('./logger');
+const { toDay } = require('./dates');
+
+const METHODS = ['paged', 'archive', 'sitemap'];
+
+// Give up on a 429/503 after this many retries, waiting at most this long each
+const MAX_RETRIES = 2;
+const MAX_RETRY_WAIT = 60000;
+
+// Listing and taxonomy pages, never articles
+const NON_ARTICLE_PATH = /\/(tag|tags|category|categories|author|page|topic|topics|search|feed|wp-content|wp-json)(\/|$)/i;
+
+const MIN_TITLE_LENGTH = 10;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits so consecutive calls are at least `delayMs` apart
+function createThrottle(delayMs) {
+  let last = 0;
+  return async () => {
+    const wait = last + delayMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    last = Date.now();
+  };
+}
+
+// Retry-After in ms (seconds or an HTTP date), capped
+function retryAfter(header, attempt) {
+  const seconds = Number(header);
+  let wait = Number.isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+  if (!Number.isFinite(wait) || wait <= 0) wait = 5000 * (attempt + 1);
+  return Math.min(wait, MAX_RETRY_WAIT);
+}
+
+// Page body as text, or null when the page doesn't exist (404/410: past the
+// last page). Gzipped sitemaps (.gz) are unpacked.
+async function fetchPage(url, feed, throttle) {
+  const gzipped = /\.gz$/i.test(new URL(url).pathname);
+  for (let attempt = 0; ; attempt++) {
+    await throttle();
+    try {
+      const response = await axios.get(url, {
+        timeout: feed.timeout,
+        headers: feed.headers,
+        responseType: gzipped ? 'arraybuffer' : 'text',
+        maxRedirects: 5,
+      });
+      return gzipped ? zlib.gunzipSync(Buffer.from(response.data)).toString('utf8') : response.data;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 404 || status === 410) return null;
+      if ([429, 503].includes(status) && attempt < MAX_RETRIES) {
+        const wait = retryAfter(error.response.headers['retry-after'], attempt);
+        log.warn(`⏳ ${url} answered ${status}, retrying in ${Math.round(wait / 1000)}s`, { url, status });
+        await sleep(wait);
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+// Date in an article URL like /2024/10/14/slug
+function urlDate(url) {
+  const match = String(url).match(/\/(20\d{2})\/(\d{2})\/(\d{2})\//);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+}
+
+// "zomato-acquires-blinkit-for-568-million" -> "Zomato acquires blinkit for 568 million"
+function titleFromUrl(url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  const slug = decodeURIComponent(segments[segments.length - 1] || '').replace(/\.[a-z]+$/i, '');
+  const words = slug.replace(/[-_]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function pageUrl(feedUrl, page) {
+  if (page === 1) return feedUrl;
+  const url = new URL(feedUrl);
+  url.searchParams.set('paged', String(page));
+  return url.toString();
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Archive listing URLs for the range, newest first: one per day when the
+// template has {dd}, otherwise one per month
+function archiveUrls(template, from, to) {
+  const daily = template.includes('{dd}');
+  const urls = [];
+  const seen = new Set();
+  const day = new Date(`${to}T00:00:00Z`);
+  const start = new Date(`${from}T00:00:00Z`);
+  while (day >= start) {
+    const [yyyy, mm, dd] = [day.getUTCFullYear(), pad(day.getUTCMonth() + 1), pad(day.getUTCDate())];
+    const url = template.replace(/\{yyyy\}/g, yyyy).replace(/\{mm\}/g, mm).replace(/\{dd\}/g, dd);
+    if (!seen.has(url)) {
+      seen.add(url);
+      urls.push({ url, date: daily ? `${yyyy}-${mm}-${dd}` : '' });
+    }
+    day.setUTCDate(day.getUTCDate() - 1);
+  }
+  return urls;
+}
+
+// WordPress-style /page/N/ after an archive URL
+function archivePageUrl(base, page) {
+  if (page === 1) return base;
+  const url = new URL(base);
+  url.pathname = `${url.pathname.replace(/\/?$/, '/')}page/${page}/`;
+  return url.toString();
+}
+
+// Article links on an archive page: each <article> (or heading) gives its
+// link, title, <time datetime> and first paragraph
+function parseArchivePage(html, baseUrl, fallbackDate = '') {
+  const source = String(html || '').replace(/<(script|style|noscript)\b[^>]*>[\s\S]*?<\/\1>/gi, '');
+  let blocks = source.match(/<article\b[\s\S]*?<\/article>/gi);
+  if (!blocks) blocks = source.match(/<h[1-4]\b[^>]*>[\s\S]*?<\/h[1-4]>/gi) || [];
+
+  const articles = [];
+  for (const block of blocks) {
+    const heading = block.match(/<h[1-6]\b[^>]*>[\s\S]*?<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/i)
+      || block.match(/<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/i);
+    if (!heading) continue;
+
+    let link;
+    try {
+      link = new URL(decodeEntities(heading[1]), baseUrl).toString();
+    } catch (error) {
+      continue;
+    }
+    const time = block.match(/<time\b[^>]*datetime\s*=\s*["']([^"']+)["']/i);
+    const paragraph = block.match(/<p\b[^>]*>([\s\S]*?)<\/p>/i);
+
+    articles.push({
+      title: htmlToText(heading[2]),
+      link,
+      description: paragraph ? htmlToText(paragraph[1]) : '',
+      pubDate: toDay(time && time[1]) || urlDate(link) || fallbackDate,
+    });
+  }
+  return articles;
+}
+
+function elementsNamed(node, local, found = []) {
+  for (const child of node.children || []) {
+    if (typeof child !== 'object') continue;
+    if (child.local === local) found.push(child);
+    elementsNamed(child, local, found);
+  }
+  return found;
+}
+
+function childText(node, local) {
+  const [child] = elementsNamed(node, local);
+  if (!child) return '';
+  return decodeEntities(child.children.filter(item => typeof item === 'string').join('')).trim();
+}
+
+// { sitemaps: [{ url, lastmod }], articles: [...] } from a sitemap or sitemap index
+function parseSitemap(xml) {
+  const doc = parseXML(xml);
+  const sitemaps = elementsNamed(doc, 'sitemap').map(node => ({
+    url: childText(node, 'loc'),
+    lastmod: toDay(childText(node, 'lastmod')),
+  })).filter(item => item.url);
+
+  const articles = elementsNamed(doc, 'url').map(node => {
+    const link = childText(node, 'loc');
+    const published = toDay(childText(node, 'publication_date'));
+    return {
+      link,
+      title: childText(node, 'title'),
+      pubDate: published || urlDate(link) || toDay(childText(node, 'lastmod')),
+    };
+  }).filter(item => item.link);
+
+  return { sitemaps, articles };
+}
+
+// Child sitemaps that can't hold articles from the range: unchanged since
+// before it, or named for a month outside it (sitemap-2023-05.xml, /2023/05/)
+function sitemapOutOfRange(sitemap, from, to) {
+  if (sitemap.lastmod && sitemap.lastmod < from) return true;
+  const match = sitemap.url.match(/(?:^|\D)(20\d{2})[-/_](\d{2})(?:\D|$)/);
+  if (!match) return false;
+  const month = `${match[1]}-${match[2]}`;
+  return month < from.slice(0, 7) || month > to.slice(0, 7);
+}
+
+function onFeedDomain(feed, link) {
+  let host;
+  try {
+    host = normalizeHost(new URL(link).hostname);
+  } catch (error) {
+    return false;
+  }
+  return feed.domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Per-feed walk state: adds in-range articles and records progress
+function createWalk(feed, { from, to, range, store, seen, articles }) {
+  const found = { paged: 0, archive: 0, sitemap: 0 };
+  return {
+    found,
+    throttle: createThrottle(feed.backfill.delayMs),
+    progress: url => (store ? store.findBackfillPage(url, range) : null),
+    mark: (url, kind, details) => {
+      if (store) store.markBackfillPage(url, range, { kind, ...details });
+    },
+    // Keep the items published in the range, on the feed's site, passing its keyword filters
+    add(items, kind) {
+      for (const item of items) {
+        if (!item.pubDate || item.pubDate < from || item.pubDate > to) continue;
+        if (!onFeedDomain(feed, item.link) || NON_ARTICLE_PATH.test(new URL(item.link).pathname)) continue;
+        const title = item.title || titleFromUrl(item.link);
+        if (title.length < MIN_TITLE_LENGTH) continue;
+        const article = {
+          title,
+          link: item.link,
+          description: item.description || '',
+          content: item.content || item.description || '',
+          guid: item.guid || item.link,
+          pubDate: item.pubDate,
+          author: item.author || '',
+          categories: item.categories || [],
+          source: new URL(feed.url).hostname,
+          feed: feed.name,
+          regions: feed.regions,
+          backfill: kind,
+        };
+        const key = canonicalUrl(article.link);
+        if (seen.has(key) || !matchesFeedKeywords(feed, article)) continue;
+        seen.add(key);
+        articles.push(article);
+        found[kind]++;
+      }
+    },
+  };
+}
+
+// Feed pages ?paged=1..maxPages, newest first, until they pass `from`
+async function walkPagedFeed(feed, walk, { from }) {
+  const links = new Set();
+  for (let page = 1; page <= feed.backfill.maxPages; page++) {
+    const url = pageUrl(feed.url, page);
+    const done = walk.progress(url);
+    if (done) {
+      if (done.articles === 0 || (done.oldest && done.oldest < from)) break;
+      continue;
+    }
+
+    const xml = await fetchPage(url, feed, walk.throttle);
+    const items = xml === null ? [] : parseFeed(xml, feed.url).items;
+    // Sites that ignore ?paged serve page 1 again
+    const fresh = items.filter(item => !links.has(item.link));
+    items.forEach(item => links.add(item.link));
+    const oldest = items.map(item => item.pubDate).sort()[0] || '';
+    walk.mark(url, 'paged', { articles: fresh.length, oldest });
+    if (fresh.length === 0) break;
+
+    walk.add(fresh, 'paged');
+    if (oldest && oldest < from) break;
+  }
+}
+
+// Date archive pages for every day (or month) in the range, /page/N/ included
+async function walkArchive(feed, walk, { from, to }) {
+  for (const archive of archiveUrls(feed.backfill.archive, from, to)) {
+    for (let page = 1; page <= feed.backfill.maxPages; page++) {
+      const url = archivePageUrl(archive.url, page);
+      const done = walk.progress(url);
+      if (done) {
+        if (done.articles === 0) break;
+        continue;
+      }
+
+      const html = await fetchPage(url, feed, walk.throttle);
+      const items = html === null ? [] : parseArchivePage(html, url, archive.date);
+      walk.mark(url, 'archive', { articles: items.length, oldest: items.map(item => item.pubDate).filter(Boolean).sort()[0] || '' });
+      if (items.length === 0) break;
+      walk.add(items, 'archive');
+    }
+  }
+}
+
+// The sitemap and any child sitemaps that may cover the range
+async function walkSitemap(feed, walk, { from, to }) {
+  const pending = [feed.backfill.sitemap];
+  const visited = new Set();
+  while (pending.length > 0 && visited.size < feed.backfill.maxPages) {
+    const url = pending.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+    if (walk.progress(url)) continue;
+
+    const xml = await fetchPage(url, feed, walk.throttle);
+    if (xml === null) continue;
+    const { sitemaps, articles } = parseSitemap(xml);
+    pending.push(...sitemaps.filter(sitemap => !sitemapOutOfRange(sitemap, from, to)).map(sitemap => sitemap.url));
+    walk.add(articles, 'sitemap');
+    // Indexes are re-read on resume so unfinished children are found again
+    if (sitemaps.length === 0) {
+      walk.mark(url, 'sitemap', { articles: articles.length, oldest: articles.map(item => item.pubDate).filter(Boolean).sort()[0] || '' });
+    }
+  }
+}
+
+const WALKERS = {
+  paged: { enabled: feed => feed.backfill.paged, walk: walkPagedFeed },
+  archive: { enabled: feed => Boolean(feed.backfill.archive), walk: walkArchive },
+  sitemap: { enabled: feed => Boolean(feed.backfill.sitemap), walk: walkSitemap },
+};
+
+// Articles published between `from` and `to` (YYYY-MM-DD, inclusive) found
+// through each enabled feed's paged feed, archives and sitemap. Options:
+//   methods   subset of METHODS to use (default all configured)
+//   feeds     feed names to limit to (default every enabled feed)
+//   store     the deal store, for resuming; progress is recorded in it
+//   restart   forget earlier progress for this range first
+async function discoverArticles(registry, { from, to, methods = METHODS, feeds: names, store = null, restart = false } = {}) {
+  if (!from || !to) throw new Error('Backfill needs a from and to date');
+  const range = `${from}..${to}`;
+  if (store && restart) {
+    const cleared = store.clearBackfillPages(range);
+    if (cleared > 0) log.info(`🔄 Forgot ${cleared} pages walked by an earlier backfill of ${range}`);
+  }
+
+  const feeds = registry.enabledFeeds.filter(feed => !names || names.includes(feed.name));
+  if (names) {
+    const missing = names.filter(name => !feeds.some(feed => feed.name === name));
+    if (missing.length > 0) throw new Error(`Unknown or disabled feed(s): ${missing.join(', ')}`);
+  }
+
+  const articles = [];
+  const seen = new Set();
+  for (const feed of feeds) {
+    const walk = createWalk(feed, { from, to, range, store, seen, articles });
+    const used = methods.filter(method => WALKERS[method].enabled(feed));
+    if (used.length === 0) continue;
+
+    log.info(`🗄️  Backfilling ${feed.name} (${used.join(', ')})`, { feed: feed.name, methods: used });
+    for (const method of used) {
+      try {
+        await WALKERS[method].walk(feed, walk, { from, to });
+      } catch (error) {
+        log.error(`Error walking ${feed.name} ${method}: ${error.message}`, { feed: feed.name, method });
+      }
+    }
+    log.info(`Found ${used.map(method => `${walk.found[method]} via ${method}`).join(', ')} from ${feed.name}`, { feed: feed.name, found: walk.found });
+  }
+  return articles;
+}
+
+module.exports = {
+  discoverArticles,
+  parseArchivePage,
+  parseSitemap,
+  archiveUrls,
+  titleFromUrl,
+  METHODS,
+};
@@ -0,0 +1,48 @@
+// Canonical article URLs
+//
+// The same story shows up under several URLs: with utm_* tags from the feed,
+// over http and https, with and without "www." or a trailing slash, or as its
+// AMP variant. Reducing them to one form lets us recognise an article we've
+// already processed.
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga|_gl|ncid|cmpid|ocid)$/i,
+  /^(ref|ref_src|ref_url|referrer|source|src|via|share|amp|output)$/i,
+];
+
+function isTrackingParam(name) {
+  return TRACKING_PARAMS.some(pattern => pattern.test(name));
+}
+
+// Canonical form of an article URL; unparseable input is returned trimmed
+function canonicalUrl(url) {
+  const raw = String(url || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (error) {
+    return raw;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return raw;
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|amp|m)\./, '');
+  const pathname = parsed.pathname
+    .replace(/\/amp\/?$/i, '/')
+    .replace(/\/{2,}/g, '/')
+    .replace(/\/+$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? '?' + new URLSearchParams(params).toString() : '';
+  const port = parsed.port && !['80', '443'].includes(parsed.port) ? `:${parsed.port}` : '';
+
+  return `https://${host}${port}${pathname}${query}`;
+}
+
+module.exports = {
+  canonicalUrl,
+  isTrackingParam,
+};
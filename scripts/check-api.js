@@ -0,0 +1,208 @@
+// Check the local API and dashboard against in-memory deals
+//
+// Usage: node scripts/check-api.js
+//
+// Starts scripts/api-server.js on a free port with a fixed set of deals
+// instead of the store, then checks the list filters, pagination, CSV
+// output, the 400s on bad parameters (including days that don't exist),
+// the 405 on writes and that non-web source links aren't linked on the
+// dashboard. Exits non-zero on any failure; nothing is read from or written
+// to the store.
+
+const assert = require('assert');
+const axios = require('axios');
+const { startServer } = require('./api-server');
+const { HEADERS } = require('./sheets-sync');
+
+const DEALS = [
+  {
+    deal_id: 'acme-robotics-series-b',
+    company: 'Acme Robotics',
+    amount: '$60M',
+    amount_usd: 60000000,
+    funding_round: 'Series B',
+    event_type: 'equity',
+    industry: 'Robotics',
+    investor_name: 'Accel, Blume Ventures',
+    investors: ['Accel', 'Blume Ventures'],
+    funding_news_date: '2024-10-14',
+    source: 'https://news.example.in/acme-robotics-series-b',
+  },
+  {
+    deal_id: 'ledgerly-seed',
+    company: 'Ledgerly',
+    amount: '$2M',
+    amount_usd: 2000000,
+    funding_round: 'Seed',
+    event_type: 'equity',
+    industry: 'Fintech',
+    investor_name: 'Accel',
+    investors: ['Accel'],
+    funding_news_date: '2024-10-10',
+    source: 'javascript:alert(document.cookie)',
+  },
+  {
+    deal_id: 'paynest-series-a',
+    company: 'Paynest',
+    amount: '$12M',
+    amount_usd: 12000000,
+    funding_round: 'Series A',
+    event_type: 'equity',
+    industry: 'Fintech',
+    investor_name: 'Peak XV Partners',
+    investors: ['Peak XV Partners'],
+    funding_news_date: '2024-10-02',
+    source: 'https://news.example.in/paynest-series-a',
+  },
+  {
+    deal_id: 'cartly-acquisition',
+    company: 'Cartly',
+    amount: '$40M',
+    amount_usd: 40000000,
+    funding_round: '',
+    event_type: 'acquisition',
+    acquirer: 'Flipkart',
+    industry: 'E-commerce',
+    investor_name: '',
+    investors: [],
+    funding_news_date: '2024-09-20',
+    source: 'https://news.example.in/flipkart-acquires-cartly',
+  },
+];
+
+// Past retention: only listed with archived=true
+const ARCHIVED = {
+  deal_id: 'oldco-seed',
+  company: 'Oldco',
+  amount: '$1M',
+  amount_usd: 1000000,
+  funding_round: 'Seed',
+  event_type: 'equity',
+  industry: 'Fintech',
+  investor_name: 'Accel',
+  investors: ['Accel'],
+  funding_news_date: '2023-01-05',
+  source: 'https://news.example.in/oldco-seed',
+};
+
+const loadData = async () => ({ deals: [...DEALS, ARCHIVED], current: DEALS, updatedAt: '2024-10-15T00:00:00Z' });
+
+// GET (or `method`) a path; any status resolves
+function request(url, path, method = 'GET') {
+  return axios({ method, url: `${url}${path}`, validateStatus: () => true, responseType: 'text', transformResponse: data => data });
+}
+
+async function companies(url, path) {
+  const response = await request(url, path);
+  assert.strictEqual(response.status, 200, `${path}: ${response.data}`);
+  return JSON.parse(response.data).data.map(deal => deal.company);
+}
+
+async function checkFilters(url) {
+  assert.deepStrictEqual(await companies(url, '/deals'), ['Acme Robotics', 'Ledgerly', 'Paynest', 'Cartly']);
+  assert.deepStrictEqual(await companies(url, '/deals?round=seed'), ['Ledgerly']);
+  assert.deepStrictEqual(await companies(url, '/deals?from=2024-10-02&to=2024-10-10'), ['Ledgerly', 'Paynest']);
+  assert.deepStrictEqual(await companies(url, '/deals?industry=fintech'), ['Ledgerly', 'Paynest']);
+  assert.deepStrictEqual(await companies(url, '/deals?event_type=acquisition'), ['Cartly']);
+  assert.deepStrictEqual(await companies(url, '/deals?min_amount=10000000&max_amount=50000000'), ['Paynest', 'Cartly']);
+  assert.deepStrictEqual(await companies(url, '/deals?q=flip'), ['Cartly']);
+  assert.deepStrictEqual(await companies(url, '/deals?investor=accel'), ['Acme Robotics', 'Ledgerly']);
+  assert.deepStrictEqual(await companies(url, '/deals?investor=accel&archived=true'), ['Acme Robotics', 'Ledgerly', 'Oldco']);
+}
+
+async function checkPagination(url) {
+  const response = await request(url, '/deals?per_page=3&page=2');
+  assert.strictEqual(response.status, 200, response.data);
+  const { data, pagination } = JSON.parse(response.data);
+  assert.deepStrictEqual(data.map(deal => deal.company), ['Cartly']);
+  assert.deepStrictEqual(pagination, { page: 2, per_page: 3, total: 4, pages: 2 });
+}
+
+async function checkCsv(url) {
+  for (const path of ['/deals.csv?industry=fintech', '/deals?industry=fintech&format=csv']) {
+    const response = await request(url, path);
+    assert.strictEqual(response.status, 200, `${path}: ${response.data}`);
+    assert.match(response.headers['content-type'], /^text\/csv/);
+    assert.match(response.headers['content-disposition'], /filename="deals\.csv"/);
+    const lines = response.data.trim().split(/\r?\n/);
+    assert.strictEqual(lines[0], HEADERS.join(','));
+    assert.strictEqual(lines.length, 3, `${path}: expected a header and 2 rows`);
+    assert.match(lines[1], /^Ledgerly,/);
+    assert.match(lines[2], /^Paynest,/);
+  }
+}
+
+async function checkBadParams(url) {
+  const cases = [
+    ['/deals?sort=amount', 'Unknown parameter "sort"'],
+    ['/deals?from=2026-02-30', 'from must be a date (YYYY-MM-DD), got "2026-02-30"'],
+    ['/deals?to=2026-13-01', 'to must be a date (YYYY-MM-DD), got "2026-13-01"'],
+    ['/deals?from=2024-10-10&to=2024-10-01', 'to must not be before from'],
+    ['/deals?page=0', 'page must be a positive whole number, got "0"'],
+    ['/deals?per_page=501', 'per_page must be at most 500'],
+    ['/deals?min_amount=-1', 'min_amount must be a non-negative number, got "-1"'],
+    ['/deals?format=xml', 'format must be json or csv, got "xml"'],
+    ['/stats/weekly?until=2026-02-30', 'until must be a date (YYYY-MM-DD), got "2026-02-30"'],
+  ];
+  for (const [path, message] of cases) {
+    const response = await request(url, path);
+    assert.strictEqual(response.status, 400, `${path}: expected 400, got ${response.status}`);
+    assert.deepStrictEqual(JSON.parse(response.data), { error: message }, path);
+  }
+}
+
+async function checkReadOnly(url) {
+  const response = await request(url, '/deals', 'POST');
+  assert.strictEqual(response.status, 405);
+  assert.deepStrictEqual(JSON.parse(response.data), { error: 'This API is read-only' });
+}
+
+async function checkDashboard(url) {
+  const response = await request(url, '/?until=2024-10-14');
+  assert.strictEqual(response.status, 200, response.data);
+  assert.match(response.data, /<a href="https:\/\/news\.example\.in\/acme-robotics-series-b">Acme Robotics<\/a>/);
+  assert.match(response.data, /<td>Ledgerly<\/td>/);
+  assert.doesNotMatch(response.data, /javascript:/);
+}
+
+// Returns the names of the failed checks
+async function check() {
+  const { server, url } = await startServer({ port: 0, loadData });
+  const checks = [
+    ['list filters', () => checkFilters(url)],
+    ['pagination', () => checkPagination(url)],
+    ['CSV output', () => checkCsv(url)],
+    ['400 on bad parameters', () => checkBadParams(url)],
+    ['405 on writes', () => checkReadOnly(url)],
+    ['dashboard source links', () => checkDashboard(url)],
+  ];
+  const failed = [];
+  console.log(`API check (server on ${url}, ${DEALS.length + 1} deals)\n`);
+  try {
+    for (const [name, run] of checks) {
+      try {
+        await run();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed.push(name);
+        console.log(`❌ ${name}:\n${error.message}\n`);
+      }
+    }
+  } finally {
+    server.close();
+  }
+  return failed;
+}
+
+if (require.main === module) {
+  check().then(failed => {
+    if (failed.length > 0) process.exit(1);
+  }).catch(error => {
+    console.error('❌ API check failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  check,
+};
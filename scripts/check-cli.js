@@ -0,0 +1,91 @@
+// Check the fundtrackr command line's argument parsing
+//
+// Usage: node scripts/check-cli.js
+//
+// Runs parseArgs from scripts/cli.js over valid and invalid command lines
+// and exits non-zero when any of them parses differently than expected.
+// Nothing is executed: no store, feeds or network are touched.
+
+const assert = require('assert');
+const { parseArgs } = require('./cli');
+
+// [argv, expected { command, options }]
+const VALID = [
+  [['scrape'], { command: 'scrape', options: {} }],
+  [['scrape', '--dry-run'], { command: 'scrape', options: { dryRun: true } }],
+  [
+    ['backfill', '--from', '2024-01-01', '--to', '2024-01-31', '--method', 'paged,sitemap', '--current-only'],
+    { command: 'backfill', options: { from: '2024-01-01', to: '2024-01-31', method: 'paged,sitemap', currentOnly: true } },
+  ],
+  [['reprocess', '--since', '2024-06-01', '--status', 'failed'], { command: 'reprocess', options: { since: '2024-06-01', status: 'failed' } }],
+  [['reprocess', '--since', '2024-06-01', '--status', 'skipped'], { command: 'reprocess', options: { since: '2024-06-01', status: 'skipped' } }],
+  [
+    ['sync', '--dry-run', '--snapshot', 'sheet.csv', '--plan', 'plan.json'],
+    { command: 'sync', options: { dryRun: true, snapshot: 'sheet.csv', plan: 'plan.json' } },
+  ],
+  [['sync', '--apply', 'plan.json', '--force'], { command: 'sync', options: { apply: 'plan.json', force: true } }],
+  [
+    ['export', '--format', 'jsonl', '--type', 'investors', '--archived', '--out', 'out/investors.jsonl'],
+    { command: 'export', options: { format: 'jsonl', type: 'investors', archived: true, out: 'out/investors.jsonl' } },
+  ],
+  [
+    ['digest', '--period', 'weekly', '--until', '2024-09-30', '--format', 'html', '--send'],
+    { command: 'digest', options: { period: 'weekly', until: '2024-09-30', format: 'html', send: true } },
+  ],
+  [['serve', '--port', '9000', '--host', '0.0.0.0'], { command: 'serve', options: { port: '9000', host: '0.0.0.0' } }],
+  [['runs', '--limit', '3', '--json'], { command: 'runs', options: { limit: '3', json: true } }],
+];
+
+// [argv, expected error message]
+const INVALID = [
+  [[], 'No command given'],
+  [['crawl'], 'Unknown command "crawl"'],
+  [['scrape', '--force'], 'Unknown option "--force" for scrape'],
+  [['backfill'], 'backfill needs --from'],
+  [['backfill', '--from'], '--from needs a value'],
+  [['backfill', '--from', '--dry-run'], '--from needs a value'],
+  [['backfill', '--from', '01/02/2024'], '--from must be a date (YYYY-MM-DD), got "01/02/2024"'],
+  [['reprocess', '--status', 'failed'], 'reprocess needs --since'],
+  [
+    ['reprocess', '--since', '2024-06-01', '--status', 'failure'],
+    '--status must be one of new, merged, no_data, quarantined, error, skipped, failed, got "failure"',
+  ],
+  [['export', '--format', 'xlsx'], '--format must be one of csv, jsonl, got "xlsx"'],
+  [['export', '--type', 'deal'], '--type must be one of deals, companies, investors, got "deal"'],
+  [['digest', '--period', 'monthly'], '--period must be one of daily, weekly, got "monthly"'],
+  [['runs', '--id'], '--id needs a value'],
+];
+
+function check() {
+  const failures = [];
+  const attempt = (argv, test) => {
+    try {
+      test();
+    } catch (error) {
+      failures.push(`fundtrackr ${argv.join(' ')}\n${error.message}`);
+    }
+  };
+
+  for (const [argv, expected] of VALID) {
+    attempt(argv, () => assert.deepStrictEqual(parseArgs(argv), expected));
+  }
+  for (const [argv, message] of INVALID) {
+    attempt(argv, () => assert.throws(() => parseArgs(argv), { message }));
+  }
+
+  console.log(`CLI argument check (${VALID.length} valid, ${INVALID.length} invalid command lines)`);
+  return failures;
+}
+
+if (require.main === module) {
+  const failures = check();
+  if (failures.length > 0) {
+    failures.forEach(failure => console.log(`\n❌ ${failure}`));
+    process.exit(1);
+  }
+  console.log('✅ All command lines parsed as expected');
+}
+
+module.exports = {
+  check,
+};
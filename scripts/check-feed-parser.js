@@ -0,0 +1,79 @@
+// Check the feed parser against the fixture feeds
+//
+// Usage: node scripts/check-feed-parser.js [--dir data/fixtures/feeds] [--update]
+//
+// Every <name>.xml in the fixture directory has a <name>.json next to it with
+// the URL the feed was fetched from and the { format, title, items } that
+// parseFeed must return for it. The fixtures cover RSS 2.0, RSS 1.0 (RDF) and
+// Atom, HTML entities, namespaced and undeclared-prefix tags, GUIDs and
+// relative links. Exits non-zero on any difference. --update rewrites the
+// expected output from the current parser; review the diff before committing.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed } = require('./feed-parser');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'fixtures', 'feeds');
+
+// Publication days depend on the tracker's zone; the fixtures are written for IST
+const FIXTURE_UTC_OFFSET = '+05:30';
+
+function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.xml'))
+    .sort()
+    .map(file => {
+      const name = path.basename(file, '.xml');
+      const expectedFile = path.join(dir, `${name}.json`);
+      if (!fs.existsSync(expectedFile)) throw new Error(`${file} has no ${name}.json with its expected output`);
+      const { feed_url: feedUrl, expected } = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+      if (!feedUrl) throw new Error(`${name}.json needs a feed_url`);
+      return { name, expectedFile, feedUrl, expected, xml: fs.readFileSync(path.join(dir, file), 'utf8') };
+    });
+}
+
+// Returns the names of the fixtures whose output differs
+function check({ dir = DEFAULT_DIR, update = false } = {}) {
+  process.env.DATE_UTC_OFFSET = FIXTURE_UTC_OFFSET;
+  const fixtures = loadFixtures(dir);
+  console.log(`Feed parser check (${fixtures.length} feeds)\n`);
+
+  const failed = [];
+  for (const { name, expectedFile, feedUrl, expected, xml } of fixtures) {
+    const actual = parseFeed(xml, feedUrl);
+    if (update) {
+      fs.writeFileSync(expectedFile, JSON.stringify({ feed_url: feedUrl, expected: actual }, null, 2) + '\n');
+      console.log(`💾 ${name}: ${actual.format}, ${actual.items.length} items`);
+      continue;
+    }
+    try {
+      assert.deepStrictEqual(actual, expected);
+      console.log(`✅ ${name}: ${actual.format}, ${actual.items.length} items`);
+    } catch (error) {
+      failed.push(name);
+      console.log(`❌ ${name}:\n${error.message}\n`);
+    }
+  }
+  return failed;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dir = args.includes('--dir') ? path.resolve(args[args.indexOf('--dir') + 1]) : undefined;
+  try {
+    const failed = check({ dir, update: args.includes('--update') });
+    if (failed.length > 0) {
+      console.log(`\n❌ ${failed.length} feed(s) parsed differently than expected`);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Feed parser check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  check,
+  loadFixtures,
+};
@@ -0,0 +1,51 @@
+// Check how reported investor lists are split and resolved
+//
+// Usage: node scripts/check-investors.js
+//
+// Runs splitInvestorNames from scripts/schema.js over investor strings as
+// articles and extractors report them, against config/investor-aliases.json,
+// and exits non-zero when any of them gives different canonical names.
+
+const assert = require('assert');
+const { splitInvestorNames } = require('./schema');
+
+// [reported investors, expected canonical names]
+const CASES = [
+  ['Accel, Blume', ['Accel', 'Blume Ventures']],
+  ['Accel and Blume & Tiger Global', ['Accel', 'Blume Ventures', 'Tiger Global']],
+  ['Matrix Partners India; SAIF Partners', ['Z47', 'Elevation Capital']],
+  ['Sequoia India and Southeast Asia, Accel', ['Peak XV Partners', 'Accel']],
+  ['Sequoia India and Southeast Asia and Accel', ['Peak XV Partners', 'Accel']],
+  ['Accel & Sequoia India and Southeast Asia', ['Accel', 'Peak XV Partners']],
+  ['Sequoia India, Peak XV Partners LLP and Surge', ['Peak XV Partners']],
+  ['Omnivore and Acme Family Office', ['Omnivore', 'Acme Family Office']],
+  ['Undisclosed', []],
+  [['Sequoia India and Southeast Asia', 'Accel India'], ['Peak XV Partners', 'Accel']],
+];
+
+function check() {
+  const failures = [];
+  for (const [reported, expected] of CASES) {
+    try {
+      assert.deepStrictEqual(splitInvestorNames(reported), expected);
+    } catch (error) {
+      failures.push(`${JSON.stringify(reported)}\n${error.message}`);
+    }
+  }
+
+  console.log(`Investor name check (${CASES.length} investor lists)`);
+  return failures;
+}
+
+if (require.main === module) {
+  const failures = check();
+  if (failures.length > 0) {
+    failures.forEach(failure => console.log(`\n❌ ${failure}`));
+    process.exit(1);
+  }
+  console.log('✅ All investor lists resolved as expected');
+}
+
+module.exports = {
+  check,
+};
@@ -0,0 +1,192 @@
+// Check alerts, digests and the SMTP client against the local stand-in
+//
+// Usage: node scripts/check-notifications.js
+//
+// Starts scripts/notify-standin.js on free ports, sends one watchlist alert
+// and one daily digest through both channels (Slack webhook and SMTP via
+// scripts/smtp.js) and checks what the stand-in received. Also checks that a
+// relay hanging up mid-conversation fails the send instead of stalling it.
+// Exits non-zero on any failure; nothing leaves the machine.
+
+const assert = require('assert');
+const net = require('net');
+const { startStandIn } = require('./notify-standin');
+const { sendAlerts } = require('./alerts');
+const { buildDigest, sendDigest } = require('./digest');
+const { sendMail, createReplyReader } = require('./smtp');
+
+// A send that hasn't settled by now is treated as stuck
+const SEND_TIMEOUT = 5000;
+
+const ENTRIES = [
+  {
+    company: 'Acme Robotics',
+    amount: '$60M',
+    amount_usd: 60000000,
+    funding_round: 'Series B',
+    event_type: 'equity',
+    industry: 'Robotics',
+    investor_name: 'Accel, Blume Ventures',
+    investors: ['Accel', 'Blume Ventures'],
+    funding_news_date: '2024-10-14',
+    source: 'https://news.example.in/acme-robotics-series-b',
+  },
+  {
+    company: 'Ledgerly',
+    amount: '$2M',
+    amount_usd: 2000000,
+    funding_round: 'Seed',
+    event_type: 'equity',
+    industry: 'Fintech',
+    investor_name: 'Accel',
+    investors: ['Accel'],
+    funding_news_date: '2024-10-14',
+    source: 'https://news.example.in/ledgerly-seed',
+  },
+];
+
+const CONFIG = {
+  watchlists: [{ name: 'Large rounds', minAmountUsd: 50000000 }],
+  digest: { channels: ['email', 'slack'] },
+};
+
+function withTimeout(promise, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} did not finish within ${SEND_TIMEOUT / 1000}s`)), SEND_TIMEOUT);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Header value and decoded text/plain part of a message the stand-in received
+function readEmail(data) {
+  const lines = data.split('\r\n');
+  const header = name => (lines.find(line => line.startsWith(`${name}: `)) || '').slice(name.length + 2);
+  const start = lines.indexOf('Content-Type: text/plain; charset=utf-8');
+  const body = lines.slice(lines.indexOf('', start) + 1);
+  const end = body.findIndex(line => line.startsWith('--'));
+  const text = Buffer.from(body.slice(0, end === -1 ? undefined : end).join(''), 'base64').toString('utf8');
+  return { subject: header('Subject'), to: header('To'), text };
+}
+
+// Everything the stand-in received since `from`, by type
+function received(standIn, from) {
+  const messages = standIn.messages.slice(from);
+  return {
+    webhooks: messages.filter(message => message.type === 'webhook'),
+    emails: messages.filter(message => message.type === 'email'),
+  };
+}
+
+async function checkAlert(standIn, env) {
+  const { matched, results } = await withTimeout(sendAlerts(ENTRIES, { config: CONFIG, env }), 'Alert');
+  assert.deepStrictEqual(results, [{ channel: 'slack', ok: true }, { channel: 'email', ok: true }]);
+  assert.deepStrictEqual(matched.map(({ entry }) => entry.company), ['Acme Robotics']);
+
+  const { webhooks, emails } = received(standIn, 0);
+  assert.strictEqual(webhooks.length, 1);
+  assert.strictEqual(webhooks[0].path, '/webhook');
+  assert.match(webhooks[0].body.text, /Acme Robotics raised \$60M \(Series B\)/);
+  assert.doesNotMatch(webhooks[0].body.text, /Ledgerly/);
+
+  assert.strictEqual(emails.length, 1);
+  assert.strictEqual(emails[0].from, 'alerts@example.com');
+  assert.deepStrictEqual(emails[0].to, ['you@example.com', 'team@example.com']);
+  const email = readEmail(emails[0].data);
+  assert.strictEqual(email.subject, 'FundTrackr alert: Acme Robotics raised $60M (Series B)');
+  assert.strictEqual(email.to, 'you@example.com, team@example.com');
+  assert.match(email.text, /Matches Large rounds/);
+}
+
+async function checkDigest(standIn, env) {
+  const from = standIn.messages.length;
+  const digest = buildDigest(ENTRIES, { period: 'daily', until: '2024-10-14', watchlists: CONFIG.watchlists });
+  const results = await withTimeout(sendDigest(digest, { config: CONFIG, env }), 'Digest');
+  assert.deepStrictEqual(results, [{ channel: 'email', ok: true }, { channel: 'slack', ok: true }]);
+
+  const { webhooks, emails } = received(standIn, from);
+  assert.strictEqual(webhooks.length, 1);
+  assert.match(webhooks[0].body.text, /^\*FundTrackr Daily Digest: 2024-10-14\*/);
+  assert.match(webhooks[0].body.text, /2 new deals, 2 funding rounds raising/);
+
+  assert.strictEqual(emails.length, 1);
+  const email = readEmail(emails[0].data);
+  assert.strictEqual(email.subject, 'FundTrackr Daily Digest: 2024-10-14');
+  assert.match(email.text, /## Watchlist matches/);
+  assert.match(email.text, /Ledgerly raised \$2M \(Seed\)/);
+  assert.match(emails[0].data, /Content-Type: text\/html; charset=utf-8/);
+}
+
+// A relay that greets and then hangs up must fail the send, not leave it waiting
+async function checkHangUp() {
+  const server = net.createServer(socket => socket.end('220 closing right away\r\n'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const send = sendMail(
+      { host: '127.0.0.1', port: server.address().port, timeout: SEND_TIMEOUT * 2 },
+      { from: 'alerts@example.com', to: ['you@example.com'], subject: 'Hang-up', text: 'Never delivered' },
+    );
+    await assert.rejects(withTimeout(send, 'Send to a closed connection'), { message: 'SMTP connection closed' });
+  } finally {
+    server.close();
+  }
+}
+
+// Once the connection is gone, reads made afterwards (between commands) fail too
+async function checkReplyReader() {
+  const reader = createReplyReader();
+  reader.feed('220 ready\r\n250-first\r\n250 last\r\n');
+  reader.fail(new Error('SMTP connection closed'));
+  assert.deepStrictEqual(await reader.next(), { code: 220, lines: ['ready'] });
+  assert.deepStrictEqual(await reader.next(), { code: 250, lines: ['first', 'last'] });
+  await assert.rejects(withTimeout(reader.next(), 'Read after the connection closed'), { message: 'SMTP connection closed' });
+  await assert.rejects(withTimeout(reader.next(), 'Second read after the connection closed'), { message: 'SMTP connection closed' });
+}
+
+// Returns the names of the failed checks
+async function check() {
+  const standIn = await startStandIn();
+  const env = {
+    SLACK_WEBHOOK_URL: standIn.webhookUrl,
+    SMTP_HOST: standIn.smtp.host,
+    SMTP_PORT: String(standIn.smtp.port),
+    ALERT_EMAIL_FROM: 'alerts@example.com',
+    ALERT_EMAIL_TO: 'you@example.com, team@example.com',
+  };
+
+  const checks = [
+    ['watchlist alert', () => checkAlert(standIn, env)],
+    ['daily digest', () => checkDigest(standIn, env)],
+    ['SMTP hang-up', checkHangUp],
+    ['SMTP replies after a hang-up', checkReplyReader],
+  ];
+  const failed = [];
+  console.log(`Notification check (stand-in on ${standIn.webhookUrl} and SMTP port ${standIn.smtp.port})\n`);
+  try {
+    for (const [name, run] of checks) {
+      try {
+        await run();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed.push(name);
+        console.log(`❌ ${name}:\n${error.message}\n`);
+      }
+    }
+  } finally {
+    await standIn.close();
+  }
+  return failed;
+}
+
+if (require.main === module) {
+  check().then(failed => {
+    if (failed.length > 0) process.exit(1);
+  }).catch(error => {
+    console.error('❌ Notification check failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  check,
+};
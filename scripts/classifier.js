@@ -0,0 +1,196 @@
+// Funding-news classifier
+//
+// Decides what kind of event an article reports before we pay for extraction:
+// a funding announcement, an acquisition, an IPO, layoffs, a shutdown, or something else
+// (round-ups, opinion pieces, "raised concerns"). Weighted rules score every
+// event type, title hits counting double; borderline funding calls can
+// optionally be settled with a yes/no question to an LLM provider.
+// data/fixtures/classifier.jsonl holds labeled articles for measuring
+// precision and recall (node scripts/evaluate-classifier.js).
+
+const { log } = require('./logger');
+
+const EVENT_TYPES = ['funding', 'acquisition', 'ipo', 'layoffs', 'shutdown', 'other'];
+
+// Below this score an article is "other"
+const MIN_SCORE = 3;
+// Funding calls below this confidence go to the LLM when it is enabled
+const CONFIDENT = 0.75;
+
+const AMOUNT = String.raw`(?:[$₹€£]|\b(?:rs\.?|inr|usd|eur)\s?)\s?\d[\d.,]*\s*(?:k|m|mn|million|b|bn|billion|cr|crore|crores|lakh|lakhs)?\b|\b\d[\d.,]*\s*(?:million|mn|billion|bn|crore|crores|cr|lakh|lakhs)\b`;
+const FUNDING_NOUN = String.raw`(?:funding|investment|round|capital|backing|${AMOUNT})`;
+
+// [event type, signal name, pattern, weight]
+const RULES = [
+  ['funding', 'raise-amount', new RegExp(String.raw`\b(?:raises?|raised|raising)\b[^.]{0,40}?(?:${AMOUNT})`, 'i'), 4],
+  ['funding', 'raise-round', /\b(?:raises?|raised|raising)\b[^.]{0,40}?\b(?:funding|round|seed|series [a-h]|capital|investment)\b/i, 3],
+  ['funding', 'funding-verb', new RegExp(String.raw`\b(?:bags?|bagged|secures?|secured|lands?|landed|nets?|netted|garners?|mops? up|picks? up|closes?|closed|gets?|receives?|received|attracts?)\b[^.]{0,40}?${FUNDING_NOUN}`, 'i'), 3],
+  ['funding', 'round-name', /\b(?:pre-seed|seed round|seed funding|pre-series [a-h]|series [a-h]\b|angel round|bridge round|funding round|growth round|extension round)/i, 2],
+  ['funding', 'investors', /\b(?:led by|co-led by|participation from|backed by|existing investors)\b/i, 1],
+  ['funding', 'debt', /\b(?:venture debt|debt financing|debt funding|credit facility|convertible notes?)\b/i, 2],
+  ['funding', 'invests-in', /\b(?:invests?|invested)\b[^.]{0,40}?\bin\b/i, 2],
+  ['funding', 'funding-word', /\b(?:funding|fundraise|fundraising)\b/i, 1],
+
+  ['acquisition', 'acquire', /\b(?:acquires?|acquired|acquiring|acqui-hires?|buys? out|takes? over)\b/i, 4],
+  ['acquisition', 'acquisition', /\b(?:acquisition|takeover|buyout|merger|merges? with|to merge)\b/i, 3],
+  ['acquisition', 'buys', /\b(?:buys?|bought)\b[^.]{0,30}?\b(?:startup|company|firm|platform|app|stake|maker|rival|business)\b/i, 3],
+
+  ['ipo', 'ipo', /\b(?:ipo|initial public offering|drhp|red herring|public issue|anchor investors)\b/i, 4],
+  ['ipo', 'listing', /\b(?:goes public|go public|going public|stock market debut|market debut|(?:nse|bse|nasdaq|nyse)[- ](?:listing|debut)|lists? (?:on|its shares)|shares (?:list|debut))\b/i, 3],
+
+  ['layoffs', 'layoffs', /\b(?:lays? off|layoffs?|laid off|job cuts?|retrench(?:es|ed|ment)?|sacks?|sacked|pink slips?)\b/i, 4],
+  ['layoffs', 'cuts-staff', /\b(?:cuts?|slashes?|fires?|fired)\b[^.]{0,25}?\b(?:jobs|employees|staff|workforce|roles|headcount)\b/i, 3],
+  ['layoffs', 'restructuring', /\b(?:restructuring|downsiz(?:e|es|ing))\b/i, 1],
+
+  ['shutdown', 'shutdown', /\b(?:shuts? down|shutting down|shut down operations|shuts? shop|winds? (?:up|down)|winding (?:up|down)|ceases? operations|calls? it quits|pulls? the plug|files? for (?:bankruptcy|insolvency)|goes bust|closes? (?:down|operations))\b/i, 4],
+  ['shutdown', 'insolvency', /\b(?:insolvency|bankruptcy|liquidation|nclt)\b/i, 2],
+
+  // Phrases that look like funding news but aren't an announcement
+  ['funding', 'raised-concerns', /\braised? (?:concerns?|questions?|eyebrows|doubts|alarm|objections?|the bar|prices|rates|an issue|issues|red flags)\b/i, -6],
+  ['funding', 'round-up', /\b(?:round-?ups?|this week in|weekly funding|funding (?:report|wrap|tracker|digest|roundup)|top funding|funding this week|deals of the week)\b/i, -6],
+  ['funding', 'market-trend', /\b(?:funding (?:winter|slowdown|crunch|drought|decline|dips?|falls?|drops?)|investors (?:are|remain) cautious|how to raise|tips for raising)\b/i, -4],
+  ['funding', 'vc-fund', /\b(?:closes?|launches?|announces?|marks?)\b[^.]{0,30}?\bfund (?:[ivx]+|\d+)\b|\b(?:maiden|debut|second|third) fund\b|\bfund of funds\b/i, -5],
+  ['ipo', 'ahead-of-ipo', /\b(?:ahead of|before) (?:its |the )?(?:ipo|listing)\b/i, -3],
+];
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ');
+}
+
+// Score an article with the rules: { event_type, confidence, scores, signals }
+function classifyWithRules(article) {
+  const title = normalizeText(article.title);
+  const body = normalizeText(`${article.description || ''} ${article.fullText || ''}`);
+  const scores = Object.fromEntries(EVENT_TYPES.map(type => [type, 0]));
+  const firstTitleHit = {};
+  const signals = [];
+
+  for (const [type, name, pattern, weight] of RULES) {
+    const titleMatch = title.match(pattern);
+    const bodyMatch = body.match(pattern);
+    if (!titleMatch && !bodyMatch) continue;
+
+    scores[type] += (titleMatch ? 2 * weight : 0) + (bodyMatch ? weight : 0);
+    signals.push(`${type}:${name}`);
+    if (titleMatch && weight > 0 && (firstTitleHit[type] === undefined || titleMatch.index < firstTitleHit[type])) {
+      firstTitleHit[type] = titleMatch.index;
+    }
+  }
+
+  // The headline's leading event breaks near-ties ("X acquires Y, raises $5M")
+  const leader = Object.entries(firstTitleHit).sort((a, b) => a[1] - b[1])[0];
+  if (leader) scores[leader[0]] += 1;
+
+  const ranked = EVENT_TYPES
+    .filter(type => type !== 'other')
+    .sort((a, b) => scores[b] - scores[a]);
+  const [best, second] = ranked;
+  const top = scores[best];
+
+  if (top < MIN_SCORE) {
+    return {
+      event_type: 'other',
+      confidence: round(Math.min(1, 1 - Math.max(0, top) / (2 * MIN_SCORE))),
+      scores,
+      signals,
+    };
+  }
+
+  // Strong evidence and a clear margin over the runner-up both raise confidence
+  const strength = 1 - Math.exp(-top / 6);
+  const margin = (top - Math.max(0, scores[second])) / top;
+  return {
+    event_type: best,
+    confidence: round(strength * (0.5 + margin / 2)),
+    scores,
+    signals,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function buildClassifierPrompt(article) {
+  return `Does this news article announce that a specific company raised money (an equity or debt funding round)? Round-ups, market commentary, acquisitions, IPOs and layoffs are not funding announcements.
+
+Title: ${article.title}
+Description: ${String(article.description || '').substring(0, 500)}
+
+Answer with exactly one word: yes or no.`;
+}
+
+// Ask the providers in order; returns true/false, or null if none answered
+async function askFundingQuestion(article, providers, limiter = null) {
+  const prompt = buildClassifierPrompt(article);
+  for (const { provider, settings } of providers) {
+    if (limiter && !(await limiter.acquire(provider.name))) continue;
+    try {
+      const answer = provider.parse(await provider.call(prompt, { ...settings, maxTokens: 5 }));
+      const match = String(answer || '').trim().toLowerCase().match(/^\W*(yes|no)\b/);
+      if (match) return match[1] === 'yes';
+    } catch (error) {
+      log.warn(`${provider.label || provider.name} classification failed: ${error.message}`, { provider: provider.name });
+    }
+  }
+  return null;
+}
+
+// Rules first; when `providers` are given, borderline funding calls are
+// settled by the LLM. Events below `minConfidence` count as "other".
+// Returns { event_type, confidence, method, signals }.
+async function classifyArticle(article, { providers = [], limiter = null, minConfidence = 0.5 } = {}) {
+  const result = classifyWithRules(article);
+  let classification = { event_type: result.event_type, confidence: result.confidence, method: 'rules', signals: result.signals };
+
+  const borderline = (result.event_type === 'funding' && result.confidence < CONFIDENT) ||
+    (result.event_type === 'other' && result.scores.funding > 0);
+  if (borderline && providers.length > 0) {
+    const isFunding = await askFundingQuestion(article, providers, limiter);
+    if (isFunding === true) {
+      classification = { ...classification, event_type: 'funding', confidence: Math.max(result.confidence, 0.8), method: 'llm' };
+    } else if (isFunding === false) {
+      classification = result.event_type === 'funding'
+        ? { ...classification, event_type: 'other', confidence: 0.8, method: 'llm' }
+        : { ...classification, method: 'llm' };
+    }
+  }
+
+  // Too weak to act on
+  if (classification.event_type !== 'other' && classification.confidence < minConfidence) {
+    classification = { ...classification, event_type: 'other', confidence: round(1 - classification.confidence) };
+  }
+  return classification;
+}
+
+// CLASSIFIER_LLM=true sends borderline articles to the AI providers;
+// CLASSIFIER_MIN_CONFIDENCE (0-1, default 0.5) is the bar for acting on a call
+function loadClassifierSettings(env = process.env) {
+  const minConfidence = env.CLASSIFIER_MIN_CONFIDENCE === undefined || env.CLASSIFIER_MIN_CONFIDENCE === ''
+    ? 0.5
+    : Number(env.CLASSIFIER_MIN_CONFIDENCE);
+  if (!(minConfidence >= 0 && minConfidence <= 1)) {
+    throw new Error(`CLASSIFIER_MIN_CONFIDENCE must be between 0 and 1, got "${env.CLASSIFIER_MIN_CONFIDENCE}"`);
+  }
+  return {
+    llm: /^(1|true|yes|on)$/i.test(env.CLASSIFIER_LLM || ''),
+    minConfidence,
+  };
+}
+
+// Classify a list of articles, attaching `classification` to each
+async function classifyArticles(articles, options = {}) {
+  const classified = [];
+  for (const article of articles) {
+    classified.push({ ...article, classification: await classifyArticle(article, options) });
+  }
+  return classified;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  classifyWithRules,
+  classifyArticle,
+  classifyArticles,
+  loadClassifierSettings,
+};
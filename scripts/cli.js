@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+// fundtrackr command line: scrape, backfill, reprocess, sync, export, digest, serve and runs
+//
+// Installed as `fundtrackr` (package.json "bin"); in a checkout use
+// `npm run fundtrackr -- <command>` or `node scripts/cli.js <command>`
+// (`npm start` is `scrape`). Each command is a thin wrapper around the
+// library functions in scraper.js, sheets-sync.js, sinks.js, profiles.js,
+// digest.js, api-server.js and run-report.js.
+
+const fs = require('fs');
+const path = require('path');
+const { today } = require('./dates');
+const { ARTICLE_STATUSES } = require('./store');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const USAGE = `Usage: fundtrackr <command> [options]
+
+  scrape [--dry-run]                          fetch feeds and extract new deals
+  backfill --from YYYY-MM-DD [--to YYYY-MM-DD] [--method paged,archive,sitemap]
+           [--feed <name>] [--restart] [--current-only] [--dry-run]
+                                              find and extract articles published in a date range
+                                              from feed pages, archives and sitemaps
+  reprocess --since YYYY-MM-DD [--status <status>|failed] [--dry-run]
+                                              extract already-processed articles again
+                                              (status: new, merged, no_data, quarantined, error,
+                                              skipped; failed = no_data, quarantined and error)
+  sync [--since YYYY-MM-DD] [--file entries.json]
+                                              push deals and profiles to Google Sheets
+  sync --dry-run [--since ...] [--file ...] [--snapshot sheet.csv] [--plan plan.json]
+                                              show what a sync would change, optionally saving the plan
+  sync --apply plan.json [--force]            write a saved plan to the sheet
+  export [--format csv|jsonl] [--type deals|companies|investors]
+         [--since YYYY-MM-DD] [--archived] [--out <file>]
+                                              write deals or profiles to a file or stdout
+  digest [--period daily|weekly] [--until YYYY-MM-DD] [--format markdown|html]
+         [--out <file>] [--send]
+                                              summarise deals recorded in the last day or week,
+                                              optionally sending it to the alert channels
+  serve [--port 8080] [--host 127.0.0.1]      read-only HTTP API and dashboard over the store
+  runs [--limit 10] [--id <run id>] [--json]  show recent run reports: feeds, providers,
+                                              entries, sinks and problems
+
+--dry-run runs the whole pipeline (AI providers included) but saves nothing
+and writes no outputs. LOG_FORMAT=json logs one JSON object per line;
+LOG_LEVEL=debug|info|warn|error sets how much is logged.`;
+
+// Flags per command: name -> 'boolean' | 'date' | list of allowed values | 'string'
+const COMMANDS = {
+  scrape: {
+    flags: { '--dry-run': 'boolean' },
+    run: async options => {
+      const { runScrape, reportRun } = require('./scraper');
+      return reportRun(await runScrape({ dryRun: options.dryRun }));
+    },
+  },
+  backfill: {
+    flags: {
+      '--from': 'date',
+      '--to': 'date',
+      '--method': 'string',
+      '--feed': 'string',
+      '--restart': 'boolean',
+      '--current-only': 'boolean',
+      '--dry-run': 'boolean',
+    },
+    required: ['--from'],
+    run: backfillCommand,
+  },
+  reprocess: {
+    flags: { '--since': 'date', '--status': [...ARTICLE_STATUSES, 'failed'], '--dry-run': 'boolean' },
+    required: ['--since'],
+    run: async options => {
+      const { reprocessArticles, reportRun } = require('./scraper');
+      return reportRun(await reprocessArticles(options));
+    },
+  },
+  sync: {
+    flags: {
+      '--since': 'date',
+      '--file': 'string',
+      '--dry-run': 'boolean',
+      '--snapshot': 'string',
+      '--plan': 'string',
+      '--apply': 'string',
+      '--force': 'boolean',
+    },
+    run: async options => {
+      const { runSyncWithProgress } = require('./sheets-sync');
+      await runSyncWithProgress(options);
+      return 0;
+    },
+  },
+  export: {
+    flags: {
+      '--format': ['csv', 'jsonl'],
+      '--type': ['deals', 'companies', 'investors'],
+      '--since': 'date',
+      '--archived': 'boolean',
+      '--out': 'string',
+    },
+    run: exportCommand,
+  },
+  digest: {
+    flags: {
+      '--period': ['daily', 'weekly'],
+      '--until': 'date',
+      '--format': ['markdown', 'html'],
+      '--out': 'string',
+      '--send': 'boolean',
+    },
+    run: digestCommand,
+  },
+  serve: {
+    flags: { '--port': 'string', '--host': 'string' },
+    run: async ({ port, host }) => {
+      if (port !== undefined && !/^\d+$/.test(port)) throw new Error(`--port must be a number, got "${port}"`);
+      const { startServer } = require('./api-server');
+      const { url } = await startServer({ port: port === undefined ? undefined : Number(port), host });
+      console.log(`🌐 FundTrackr API and dashboard on ${url} (Ctrl+C to stop)`);
+      // Keeps running until interrupted
+      return new Promise(() => {});
+    },
+  },
+  runs: {
+    flags: { '--limit': 'string', '--id': 'string', '--json': 'boolean' },
+    run: runsCommand,
+  },
+};
+
+// --dry-run -> dryRun
+function optionName(flag) {
+  return flag.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// { command, options } from argv, validated against COMMANDS
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const spec = COMMANDS[command];
+  if (!spec) throw new Error(command ? `Unknown command "${command}"` : 'No command given');
+
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const flag = rest[i];
+    const type = spec.flags[flag];
+    if (!type) throw new Error(`Unknown option "${flag}" for ${command}`);
+    if (type === 'boolean') {
+      options[optionName(flag)] = true;
+      continue;
+    }
+
+    const value = rest[++i];
+    if (value === undefined || value.startsWith('--')) throw new Error(`${flag} needs a value`);
+    if (type === 'date' && !DATE.test(value)) throw new Error(`${flag} must be a date (YYYY-MM-DD), got "${value}"`);
+    if (Array.isArray(type) && !type.includes(value)) throw new Error(`${flag} must be one of ${type.join(', ')}, got "${value}"`);
+    options[optionName(flag)] = value;
+  }
+
+  for (const flag of spec.required || []) {
+    if (options[optionName(flag)] === undefined) throw new Error(`${command} needs ${flag}`);
+  }
+  return { command, options };
+}
+
+async function backfillCommand({ from, to = today(), method, feed, restart, currentOnly, dryRun }) {
+  if (to < from) throw new Error('--to must not be before --from');
+  const { runScrape, reportRun } = require('./scraper');
+  if (currentOnly) {
+    if (method || feed || restart) throw new Error('--current-only takes no --method, --feed or --restart');
+    return reportRun(await runScrape({ dryRun, from, to }));
+  }
+
+  const { METHODS } = require('./backfill');
+  const methods = method ? method.split(',').map(name => name.trim()).filter(Boolean) : METHODS;
+  const unknown = methods.filter(name => !METHODS.includes(name));
+  if (unknown.length > 0) throw new Error(`--method must be a list of ${METHODS.join(', ')}, got "${unknown.join(', ')}"`);
+  return reportRun(await runScrape({
+    dryRun,
+    from,
+    to,
+    backfill: { methods, feeds: feed ? [feed] : undefined, restart },
+  }));
+}
+
+async function exportCommand({ format = 'csv', type = 'deals', since, archived = false, out }) {
+  const { openStore } = require('./store');
+  const { toCSV, toJSONL } = require('./sinks');
+  const { buildProfiles, COMPANY_COLUMNS, INVESTOR_COLUMNS } = require('./profiles');
+
+  const store = await openStore();
+  let items;
+  let columns;
+  try {
+    if (type === 'deals') {
+      items = store.loadEntries({ includeArchived: archived }).filter(entry => !since || entry.last_updated >= since);
+    } else {
+      // Profiles always cover every deal
+      items = buildProfiles(store.loadEntries({ includeArchived: true }))[type];
+      columns = type === 'companies' ? COMPANY_COLUMNS : INVESTOR_COLUMNS;
+    }
+  } finally {
+    store.close();
+  }
+
+  const contents = format === 'csv' ? toCSV(items, columns) : toJSONL(items);
+  if (!out) {
+    process.stdout.write(contents);
+    return 0;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  fs.writeFileSync(out, contents);
+  console.error(`✅ ${items.length} ${type} written to ${out}`);
+  return 0;
+}
+
+async function digestCommand({ period = 'daily', until, format = 'markdown', out, send = false }) {
+  const { loadDigest, renderDigest, sendDigest } = require('./digest');
+  const { loadAlertsConfig } = require('./alerts');
+
+  const config = loadAlertsConfig();
+  const digest = await loadDigest({ period, until, config });
+  const contents = renderDigest(digest, format);
+
+  if (out) {
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(out, contents);
+    console.error(`✅ ${period} digest (${digest.totals.deals} deals) written to ${out}`);
+  } else if (!send) {
+    process.stdout.write(contents);
+  }
+
+  if (!send) return 0;
+  const results = await sendDigest(digest, { config });
+  if (results.length === 0) {
+    console.error('⚠️ No digest channels are configured (set SLACK_WEBHOOK_URL or SMTP_HOST, ALERT_EMAIL_FROM and ALERT_EMAIL_TO)');
+    return 1;
+  }
+  for (const result of results) {
+    if (result.ok) console.error(`✅ Digest sent to ${result.channel}`);
+    else console.error(`❌ Digest to ${result.channel} failed: ${result.error}`);
+  }
+  return results.every(result => result.ok) ? 0 : 1;
+}
+
+async function runsCommand({ limit = '10', id, json = false }) {
+  if (!/^\d+$/.test(limit) || Number(limit) < 1) throw new Error(`--limit must be a positive number, got "${limit}"`);
+  const { openStore } = require('./store');
+  const { formatRunSummary } = require('./run-report');
+
+  const store = await openStore();
+  let reports;
+  try {
+    reports = store.listRuns({ limit: Number(limit), id });
+  } finally {
+    store.close();
+  }
+
+  if (id && reports.length === 0) {
+    console.error(`❌ No run with ID ${id}`);
+    return 1;
+  }
+  if (json || id) {
+    process.stdout.write(JSON.stringify(id ? reports[0] : reports, null, 2) + '\n');
+    return 0;
+  }
+  if (reports.length === 0) {
+    console.log('No runs recorded yet');
+    return 0;
+  }
+  console.log(reports.map(formatRunSummary).join('\n\n'));
+  return 0;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  if (argv.length === 0 || ['-h', '--help', 'help'].includes(argv[0])) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    return 2;
+  }
+  return COMMANDS[parsed.command].run(parsed.options);
+}
+
+if (require.main === module) {
+  main()
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error('\n❌ FATAL ERROR:', error.message);
+      if (error.stack) console.error(error.stack);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  COMMANDS,
+};
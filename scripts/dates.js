@@ -0,0 +1,186 @@
+// Dates, time zones and calendar days
+//
+// Feeds date articles as RFC 822 (RSS: "Mon, 14 Oct 2024 10:00:00 +0530"),
+// ISO 8601 / W3C-DTF (Atom, Dublin Core: "2024-10-14T10:00:00+05:30"), and
+// models and sites write "October 14, 2024" or "14/10/2024". All of them are
+// parsed with their time zone and turned into calendar days in the tracker's
+// zone, DATE_UTC_OFFSET (default +05:30, IST): a story published at 1 AM in
+// Bengaluru is dated that day, not the previous UTC day. Times without a zone
+// are read in that zone as well.
+//
+// Announcement dates from the AI are only trusted near the article date:
+// checkAnnouncementDate rejects dates in the future, after the article or
+// long before it, and the caller falls back to the article date.
+
+const DEFAULT_UTC_OFFSET = '+05:30';
+
+// How long before the article reporting it a deal may have been announced
+const MAX_DAYS_BEFORE_ARTICLE = 30;
+// Slack for announcements dated after the article (time zones, embargoes)
+const MAX_DAYS_AFTER_ARTICLE = 1;
+
+const DAY_MS = 86400000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// RFC 822 zone names, plus IST as Indian sites use it; minutes east of UTC
+const ZONES = {
+  UT: 0, UTC: 0, GMT: 0, Z: 0,
+  EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420,
+  IST: 330,
+};
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+// [Mon, ]14 Oct[ober] 2024[ 10:00[:00]][ +0530 | GMT | IST]
+const DAY_MONTH_YEAR = /^(?:[a-z]{3,9}\.?,?\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?,?\s+(\d{4}|\d{2})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?(?:\s*([a-z]{1,5}|[+-]\d{2}:?\d{2}))?$/i;
+// [Monday, ]October 14[th], 2024
+const MONTH_DAY_YEAR = /^(?:[a-z]{3,9}\.?,?\s+)?([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i;
+// 14/10/2024, 14.10.2024
+const NUMERIC_DATE = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/;
+
+// "+05:30", "+0530", "-08", "GMT", "IST" -> minutes east of UTC; null when unknown
+function parseOffset(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^([+-])(\d{2}):?(\d{2})?$/);
+  if (!match) return ZONES[text.toUpperCase()] ?? null;
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+// The tracker's zone in minutes east of UTC (DATE_UTC_OFFSET)
+function zoneOffset(env = process.env) {
+  const value = env.DATE_UTC_OFFSET || DEFAULT_UTC_OFFSET;
+  const offset = parseOffset(value);
+  if (offset === null || Math.abs(offset) > 14 * 60) {
+    throw new Error(`DATE_UTC_OFFSET must be an offset like +05:30 or -08:00, got "${value}"`);
+  }
+  return offset;
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(String(name).slice(0, 3).toLowerCase());
+}
+
+// A Date from calendar parts in a zone, or null when the parts don't exist (31 Feb)
+function fromParts({ year, month, day, hour = 0, minute = 0, second = 0, ms = 0 }, offset) {
+  if (month < 0 || month > 11 || hour > 23 || minute > 59 || second > 60) return null;
+  const utc = Date.UTC(year, month, day, hour, minute, second, ms);
+  const check = new Date(utc);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month || check.getUTCDate() !== day) return null;
+  return new Date(utc - offset * 60000);
+}
+
+// Parse a date string (or Date) into a Date; null when it can't be read.
+// Strings without a zone are taken to be in `offset`.
+function parseDate(value, offset = zoneOffset()) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const text = String(value || '').trim().replace(/\s+/g, ' ');
+  if (!text) return null;
+
+  let match = text.match(ISO_DATE);
+  if (match) {
+    const zone = match[8] ? parseOffset(match[8]) : offset;
+    return zone === null ? null : fromParts({
+      year: Number(match[1]),
+      month: Number(match[2]) - 1,
+      day: Number(match[3]),
+      hour: Number(match[4] || 0),
+      minute: Number(match[5] || 0),
+      second: Number(match[6] || 0),
+      ms: match[7] ? Number(match[7].slice(0, 3).padEnd(3, '0')) : 0,
+    }, zone);
+  }
+
+  match = text.match(DAY_MONTH_YEAR);
+  if (match && monthIndex(match[2]) >= 0) {
+    const zone = match[7] ? parseOffset(match[7]) : offset;
+    const year = Number(match[3]);
+    return zone === null ? null : fromParts({
+      year: match[3].length === 2 ? 2000 + year : year,
+      month: monthIndex(match[2]),
+      day: Number(match[1]),
+      hour: Number(match[4] || 0),
+      minute: Number(match[5] || 0),
+      second: Number(match[6] || 0),
+    }, zone);
+  }
+
+  match = text.match(MONTH_DAY_YEAR);
+  if (match && monthIndex(match[1]) >= 0) {
+    return fromParts({ year: Number(match[3]), month: monthIndex(match[1]), day: Number(match[2]) }, offset);
+  }
+
+  match = text.match(NUMERIC_DATE);
+  if (match) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    // Day first, as Indian sites write it, unless only month-first makes sense;
+    // 05/06/2024 could be either and is rejected
+    if (first <= 12 && second <= 12 && first !== second) return null;
+    const [day, month] = second > 12 ? [second, first] : [first, second];
+    return fromParts({ year: Number(match[3]), month: month - 1, day }, offset);
+  }
+
+  return null;
+}
+
+// YYYY-MM-DD of a Date in the zone `offset` minutes east of UTC
+function formatDay(date, offset = zoneOffset()) {
+  return new Date(date.getTime() + offset * 60000).toISOString().split('T')[0];
+}
+
+// Calendar day (YYYY-MM-DD, tracker zone) of a date string or Date; '' when unreadable
+function toDay(value, offset = zoneOffset()) {
+  const date = parseDate(value, offset);
+  return date ? formatDay(date, offset) : '';
+}
+
+// Today in the tracker's zone
+function today(offset = zoneOffset(), now = new Date()) {
+  return formatDay(now, offset);
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Whole days from `from` to `to` (both YYYY-MM-DD)
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// Check a model-extracted announcement date against the article's day (or,
+// without one, today). Returns { date, reason }: the announcement day, or
+// date '' and why it was rejected.
+function checkAnnouncementDate(value, articleDay = '', { offset = zoneOffset(), now = new Date() } = {}) {
+  const text = String(value || '').trim();
+  if (!text) return { date: '', reason: 'no date given' };
+  const day = toDay(text, offset);
+  if (!day) return { date: '', reason: `"${text}" is not a date` };
+
+  const current = today(offset, now);
+  if (day > current) return { date: '', reason: `${day} is in the future` };
+
+  const reference = articleDay || current;
+  const gap = daysBetween(day, reference);
+  if (gap < -MAX_DAYS_AFTER_ARTICLE) return { date: '', reason: `${day} is after the article date ${reference}` };
+  if (gap > MAX_DAYS_BEFORE_ARTICLE) {
+    return { date: '', reason: `${day} is more than ${MAX_DAYS_BEFORE_ARTICLE} days before the article date ${reference}` };
+  }
+  return { date: day, reason: null };
+}
+
+module.exports = {
+  MAX_DAYS_BEFORE_ARTICLE,
+  MAX_DAYS_AFTER_ARTICLE,
+  parseDate,
+  parseOffset,
+  zoneOffset,
+  formatDay,
+  toDay,
+  today,
+  addDays,
+  daysBetween,
+  checkAnnouncementDate,
+};
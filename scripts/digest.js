@@ -0,0 +1,194 @@
+// Daily and weekly deal digests
+//
+// Summarises the deals first recorded in a window (the day ending `until`, or
+// the seven days ending `until`): totals, watchlist matches, funding rounds by
+// size, acquisitions, IPOs, shutdowns and the most active investors. Rendered
+// as Markdown (email text part, files), HTML (email) or Slack mrkdwn, and sent
+// to the channels listed under "digest" in config/alerts.json.
+
+const { openStore } = require('./store');
+const { formatUsd } = require('./profiles');
+const { resolveInvestor } = require('./investor-aliases');
+const { today, addDays } = require('./dates');
+const {
+  loadAlertsConfig,
+  resolveChannels,
+  matchEntries,
+  formatDeal,
+  escapeHtml,
+  notify,
+} = require('./alerts');
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const DEFAULT_MAX_DEALS = 50;
+const TOP_INVESTORS = 5;
+
+const SECTIONS = [
+  { key: 'rounds', title: 'Funding rounds', noun: ['funding round', 'funding rounds'] },
+  { key: 'acquisitions', title: 'Acquisitions', noun: ['acquisition', 'acquisitions'] },
+  { key: 'ipos', title: 'IPOs', noun: ['IPO', 'IPOs'] },
+  { key: 'shutdowns', title: 'Shutdowns', noun: ['shutdown', 'shutdowns'] },
+];
+
+function plural(n, [singular, several]) {
+  return `${n} ${n === 1 ? singular : several}`;
+}
+
+// { from, to } covered by a digest for `period` ending on `until`
+function digestWindow(period = 'daily', until = today()) {
+  const days = PERIOD_DAYS[period];
+  if (!days) throw new Error(`Unknown digest period "${period}" (daily or weekly)`);
+  return { from: addDays(until, 1 - days), to: until };
+}
+
+function investorsOf(entry) {
+  const names = entry.investors || String(entry.investor_name || '').split(/\s*,\s*/);
+  return [...new Set(names.filter(Boolean).map(name => resolveInvestor(name)))];
+}
+
+// Digest data for `entries` (the deals recorded in the window)
+function buildDigest(entries, { period = 'daily', until = today(), watchlists = [], maxDeals = DEFAULT_MAX_DEALS } = {}) {
+  const { from, to } = digestWindow(period, until);
+  const byEvent = type => entries.filter(entry => (entry.event_type || 'equity') === type);
+
+  const rounds = entries
+    .filter(entry => ['equity', 'debt'].includes(entry.event_type || 'equity'))
+    .sort((a, b) => (b.amount_usd || 0) - (a.amount_usd || 0) || a.company.localeCompare(b.company));
+
+  const investorCounts = new Map();
+  for (const entry of rounds) {
+    for (const name of investorsOf(entry)) investorCounts.set(name, (investorCounts.get(name) || 0) + 1);
+  }
+
+  return {
+    period,
+    from,
+    to,
+    totals: {
+      deals: entries.length,
+      rounds: rounds.length,
+      raised_usd: rounds.reduce((sum, entry) => sum + (entry.amount_usd || 0), 0),
+      undisclosed: rounds.filter(entry => !entry.amount_usd).length,
+    },
+    matches: matchEntries(entries, watchlists),
+    rounds: rounds.slice(0, maxDeals),
+    omittedRounds: Math.max(0, rounds.length - maxDeals),
+    acquisitions: byEvent('acquisition'),
+    ipos: byEvent('ipo'),
+    shutdowns: byEvent('shutdown'),
+    investors: [...investorCounts.entries()]
+      .filter(([, count]) => count > 1)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, TOP_INVESTORS)
+      .map(([name, count]) => ({ name, deals: count })),
+  };
+}
+
+function digestTitle(digest) {
+  const label = digest.period === 'weekly' ? 'Weekly' : 'Daily';
+  const range = digest.from === digest.to ? digest.to : `${digest.from} to ${digest.to}`;
+  return `FundTrackr ${label} Digest: ${range}`;
+}
+
+function summaryLine(digest) {
+  const { deals, rounds, raised_usd: raised, undisclosed } = digest.totals;
+  if (deals === 0) return 'No new deals recorded.';
+  const parts = [plural(deals, ['new deal', 'new deals'])];
+  if (rounds > 0) {
+    parts.push(`${plural(rounds, SECTIONS[0].noun)} raising ${formatUsd(raised) || '$0'}${undisclosed ? ` (${undisclosed} undisclosed)` : ''}`);
+  }
+  for (const { key, noun } of SECTIONS.slice(1)) {
+    if (digest[key].length > 0) parts.push(plural(digest[key].length, noun));
+  }
+  return parts.join(', ') + '.';
+}
+
+// [{ title, items: [formatted deal] }] in `format`, empty sections left out
+function sections(digest, format) {
+  const result = [];
+  if (digest.matches.length > 0) {
+    result.push({
+      title: 'Watchlist matches',
+      items: digest.matches.map(({ entry, matches }) => formatDeal(entry, format, matches.map(match => match.watchlist.name).join(', '))),
+    });
+  }
+  for (const { key, title } of SECTIONS) {
+    if (digest[key].length === 0) continue;
+    const items = digest[key].map(entry => formatDeal(entry, format));
+    if (key === 'rounds' && digest.omittedRounds > 0) {
+      const more = `…and ${digest.omittedRounds} smaller rounds`;
+      items.push(format === 'html' ? `<li>${escapeHtml(more)}</li>` : `${format === 'slack' ? '•' : '-'} ${more}`);
+    }
+    result.push({ title, items });
+  }
+  if (digest.investors.length > 0) {
+    const lines = digest.investors.map(({ name, deals }) => `${name}: ${deals} deals`);
+    result.push({
+      title: 'Most active investors',
+      items: lines.map(line => (format === 'html' ? `<li>${escapeHtml(line)}</li>` : `${format === 'slack' ? '•' : '-'} ${line}`)),
+    });
+  }
+  return result;
+}
+
+// The digest as Markdown, HTML or Slack mrkdwn
+function renderDigest(digest, format = 'markdown') {
+  const title = digestTitle(digest);
+  const parts = sections(digest, format);
+
+  if (format === 'html') {
+    return [
+      '<!DOCTYPE html>',
+      `<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>`,
+      '<body style="font-family: sans-serif; max-width: 720px">',
+      `<h1>${escapeHtml(title)}</h1>`,
+      `<p>${escapeHtml(summaryLine(digest))}</p>`,
+      ...parts.map(({ title: heading, items }) => `<h2>${escapeHtml(heading)}</h2>\n<ul>\n${items.join('\n')}\n</ul>`),
+      '</body></html>',
+      '',
+    ].join('\n');
+  }
+  if (format === 'slack') {
+    return [`*${title}*`, summaryLine(digest), ...parts.map(({ title: heading, items }) => `\n*${heading}*\n${items.join('\n')}`)].join('\n');
+  }
+  return [`# ${title}`, '', summaryLine(digest), ...parts.map(({ title: heading, items }) => `\n## ${heading}\n\n${items.join('\n')}`), ''].join('\n');
+}
+
+// Load the window's deals from the store and build the digest
+async function loadDigest({ period = 'daily', until = today(), config = loadAlertsConfig() } = {}) {
+  const { from, to } = digestWindow(period, until);
+  const store = await openStore();
+  try {
+    const entries = store.loadNewEntries(from, to);
+    return buildDigest(entries, {
+      period,
+      until,
+      watchlists: config.watchlists,
+      maxDeals: (config.digest && config.digest.maxDeals) || DEFAULT_MAX_DEALS,
+    });
+  } finally {
+    store.close();
+  }
+}
+
+// Send a digest to the channels under "digest" in the alerts config.
+// Returns [{ channel, ok, error }].
+async function sendDigest(digest, { config = loadAlertsConfig(), env = process.env } = {}) {
+  const channels = resolveChannels(config, env);
+  const wanted = (config.digest && config.digest.channels) || Object.keys(channels);
+  const message = {
+    subject: digestTitle(digest),
+    text: renderDigest(digest, 'markdown'),
+    html: renderDigest(digest, 'html'),
+    slack: renderDigest(digest, 'slack'),
+  };
+  return notify(message, wanted, channels);
+}
+
+module.exports = {
+  digestWindow,
+  buildDigest,
+  renderDigest,
+  loadDigest,
+  sendDigest,
+};
@@ -0,0 +1,221 @@
+// Entity resolution for funding deals
+//
+// Decides whether two extracted records describe the same deal even when
+// sources disagree on the details: "Zepto" vs "Zepto Technologies Pvt Ltd",
+// a story published a day later, or an amount reported in another currency.
+// Matched records share a canonical deal ID and carry every contributing source.
+
+const { today } = require('./dates');
+
+const DEFAULT_OPTIONS = {
+  dateWindowDays: 7,
+  amountTolerance: 0.15,
+  nameSimilarity: 0.88,
+};
+
+// Suffixes that don't distinguish one company from another
+const LEGAL_SUFFIXES = [
+  'private limited', 'pvt ltd', 'pvt', 'ltd', 'limited', 'llp', 'llc', 'inc', 'incorporated',
+  'corp', 'corporation', 'co', 'company', 'gmbh', 'plc', 'pte', 'sa', 'bv',
+  'technologies', 'technology', 'tech', 'labs', 'solutions', 'ventures', 'india', 'global', 'ai', 'app', 'hq',
+];
+
+const SUFFIX_REGEX = new RegExp(`(?:\\s+(?:${LEGAL_SUFFIXES.map(s => s.replace(/ /g, '\\s+')).join('|')}))+$`);
+
+function resolutionOptions(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  if (process.env.DEDUPE_WINDOW_DAYS && overrides.dateWindowDays === undefined) {
+    options.dateWindowDays = Number(process.env.DEDUPE_WINDOW_DAYS);
+  }
+  return options;
+}
+
+// "Zepto Technologies Pvt. Ltd." -> "zepto"
+function normalizeCompanyName(name) {
+  const base = String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/\.(com|in|io|ai|co)\b/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the\s+/, '')
+    .trim();
+
+  const stripped = base.replace(SUFFIX_REGEX, '').trim();
+  // Never strip a name down to nothing ("Tech Labs")
+  return stripped || base;
+}
+
+function websiteDomain(url) {
+  if (!url) return '';
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+// Levenshtein distance, bounded to short strings like company names
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function nameSimilarity(a, b) {
+  const left = normalizeCompanyName(a);
+  const right = normalizeCompanyName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.replace(/ /g, '') === right.replace(/ /g, '')) return 1;
+  return 1 - editDistance(left, right) / Math.max(left.length, right.length);
+}
+
+function daysBetween(a, b) {
+  const left = new Date(a);
+  const right = new Date(b);
+  if (Number.isNaN(left.getTime()) || Number.isNaN(right.getTime())) return Infinity;
+  return Math.abs(left - right) / 86400000;
+}
+
+// Compare amounts in USD; null when either side is undisclosed
+function amountRatio(a, b) {
+  if (!a.amount_usd || !b.amount_usd) return null;
+  return Math.min(a.amount_usd, b.amount_usd) / Math.max(a.amount_usd, b.amount_usd);
+}
+
+// Equity and debt rounds compare by round; acquisitions, IPOs and shutdowns
+// only match the same kind of event (records from before event types are rounds)
+function eventKind(entry) {
+  return ['acquisition', 'ipo', 'shutdown'].includes(entry.event_type) ? entry.event_type : 'round';
+}
+
+function roundsCompatible(a, b) {
+  return a.funding_round === b.funding_round || a.funding_round === 'Unknown' || b.funding_round === 'Unknown';
+}
+
+// Score how likely two records are the same deal: { match, score, reasons }
+function compareDeals(a, b, overrides) {
+  const options = resolutionOptions(overrides);
+  const reasons = [];
+
+  const domainA = websiteDomain(a.website);
+  const domainB = websiteDomain(b.website);
+  const sameDomain = Boolean(domainA && domainA === domainB);
+  const similarity = nameSimilarity(a.company, b.company);
+
+  if (sameDomain) reasons.push(`same website ${domainA}`);
+  else if (domainA && domainB) reasons.push(`different websites ${domainA} / ${domainB}`);
+  if (similarity >= options.nameSimilarity) reasons.push(`name similarity ${similarity.toFixed(2)}`);
+
+  const sameCompany = sameDomain || (similarity >= options.nameSimilarity && !(domainA && domainB && domainA !== domainB));
+  if (!sameCompany) return { match: false, score: similarity, reasons };
+
+  if (eventKind(a) !== eventKind(b)) {
+    reasons.push(`different events ${eventKind(a)} / ${eventKind(b)}`);
+    return { match: false, score: 0, reasons };
+  }
+
+  if (!roundsCompatible(a, b)) {
+    reasons.push(`different rounds ${a.funding_round} / ${b.funding_round}`);
+    return { match: false, score: 0, reasons };
+  }
+
+  const days = daysBetween(a.funding_news_date, b.funding_news_date);
+  if (days > options.dateWindowDays) {
+    reasons.push(`${Math.round(days)} days apart`);
+    return { match: false, score: 0, reasons };
+  }
+
+  const ratio = amountRatio(a, b);
+  if (ratio !== null && ratio < 1 - options.amountTolerance) {
+    // Same company, round and week but very different amounts: likely two tranches
+    reasons.push(`amounts differ (${a.amount} / ${b.amount})`);
+    return { match: false, score: 0, reasons };
+  }
+
+  let score = sameDomain ? 1 : similarity;
+  if (ratio !== null) score += ratio - 1;
+  score -= days / (options.dateWindowDays + 1) / 10;
+
+  return { match: true, score, reasons };
+}
+
+// Index of the existing entry describing the same deal, or -1
+function findMatchingEntry(entry, entries, overrides) {
+  let bestIndex = -1;
+  let bestScore = -Infinity;
+
+  entries.forEach((existing, index) => {
+    const { match, score } = compareDeals(entry, existing, overrides);
+    if (match && score > bestScore) {
+      bestIndex = index;
+      bestScore = score;
+    }
+  });
+
+  return bestIndex;
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Stable, readable ID assigned when a deal is first seen
+function createDealId(entry) {
+  const company = slugify(normalizeCompanyName(entry.company)) || slugify(websiteDomain(entry.website)) || 'unknown';
+  return [company, slugify(entry.funding_round || entry.event_type || 'unknown'), entry.funding_news_date].join(':');
+}
+
+function sourceRecord(entry) {
+  return {
+    url: entry.source,
+    host: websiteDomain(entry.source),
+    company: entry.company,
+    funding_news_date: entry.funding_news_date,
+    extracted_by: entry.extracted_by || '',
+    seen_at: entry.last_updated || today(),
+  };
+}
+
+// Give a new entry its canonical ID and initial source list
+function registerDeal(entry) {
+  return {
+    ...entry,
+    deal_id: entry.deal_id || createDealId(entry),
+    sources: entry.sources || [sourceRecord(entry)],
+  };
+}
+
+// Union the source lists of two records for the same deal
+function mergeSources(existing, incoming) {
+  const sources = [...(existing.sources || [sourceRecord(existing)])];
+  for (const source of incoming.sources || [sourceRecord(incoming)]) {
+    if (!sources.some(known => known.url === source.url)) sources.push(source);
+  }
+  return sources;
+}
+
+module.exports = {
+  normalizeCompanyName,
+  websiteDomain,
+  nameSimilarity,
+  compareDeals,
+  findMatchingEntry,
+  createDealId,
+  registerDeal,
+  mergeSources,
+};
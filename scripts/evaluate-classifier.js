@@ -0,0 +1,184 @@
+// Measure the funding classifier against the labeled fixture set
+//
+// Usage: node scripts/evaluate-classifier.js [--llm] [--file fixtures.jsonl] [--verbose]
+//                                            [--update-baseline]
+//
+// Prints precision/recall per event type and the misclassified articles.
+// --llm lets borderline articles go to the configured AI providers, as the
+// scraper does with CLASSIFIER_LLM=true.
+//
+// Exits non-zero when accuracy or any type's precision/recall drops below
+// data/fixtures/classifier-baseline.json (by more than its tolerance); rules
+// only and rules + LLM have separate baselines. --update-baseline writes the
+// current numbers there instead.
+
+const fs = require('fs');
+const path = require('path');
+const { EVENT_TYPES, classifyArticle } = require('./classifier');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'data', 'fixtures', 'classifier.jsonl');
+const DEFAULT_BASELINE = path.join(__dirname, '..', 'data', 'fixtures', 'classifier-baseline.json');
+
+const DEFAULT_TOLERANCE = 0.01;
+
+function loadFixtures(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      const item = JSON.parse(line);
+      if (!EVENT_TYPES.includes(item.label)) throw new Error(`${filePath}:${index + 1}: unknown label "${item.label}"`);
+      return item;
+    });
+}
+
+function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function percent(value) {
+  return Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : '—';
+}
+
+// { type: { tp, fp, fn } } from [{ label, predicted }]
+function confusion(results) {
+  const stats = Object.fromEntries(EVENT_TYPES.map(type => [type, { tp: 0, fp: 0, fn: 0 }]));
+  for (const { label, predicted } of results) {
+    if (label === predicted) {
+      stats[label].tp++;
+    } else {
+      stats[predicted].fp++;
+      stats[label].fn++;
+    }
+  }
+  return stats;
+}
+
+// Score for the baseline, 4 decimals; a type that was never predicted has no precision
+function score(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(4)) : null;
+}
+
+// { articles, accuracy, types: { type: { precision, recall } } }
+function summarize(results, stats) {
+  const correct = results.filter(result => result.label === result.predicted).length;
+  return {
+    articles: results.length,
+    accuracy: score(correct / results.length),
+    types: Object.fromEntries(EVENT_TYPES.map(type => {
+      const { tp, fp, fn } = stats[type];
+      return [type, { precision: score(tp / (tp + fp)), recall: score(tp / (tp + fn)) }];
+    })),
+  };
+}
+
+// ["shutdown precision: 70.0% < baseline 83.3%"] for every value below the baseline
+function regressions(summary, expected, tolerance = DEFAULT_TOLERANCE) {
+  const found = [];
+  const compare = (name, actual, want) => {
+    if (typeof want === 'number' && (actual ?? 0) < want - tolerance) {
+      found.push(`${name}: ${percent(actual ?? NaN)} < baseline ${percent(want)}`);
+    }
+  };
+  compare('accuracy', summary.accuracy, expected.accuracy);
+  for (const [type, want] of Object.entries(expected.types || {})) {
+    const actual = summary.types[type] || {};
+    compare(`${type} precision`, actual.precision, want.precision);
+    compare(`${type} recall`, actual.recall, want.recall);
+  }
+  return found;
+}
+
+// Returns { summary, regressions }; regressions is empty when quality held
+async function evaluate({
+  file = DEFAULT_FIXTURES,
+  baselineFile = DEFAULT_BASELINE,
+  llm = false,
+  verbose = false,
+  updateBaseline = false,
+} = {}) {
+  const fixtures = loadFixtures(file);
+  const options = {};
+  if (llm) {
+    const { resolveProviders } = require('./providers');
+    options.providers = resolveProviders();
+  }
+
+  const results = [];
+  for (const item of fixtures) {
+    const classification = await classifyArticle(item, options);
+    results.push({ ...item, predicted: classification.event_type, classification });
+  }
+
+  const stats = confusion(results);
+  console.log(`Classifier evaluation (${fixtures.length} articles, ${llm ? 'rules + LLM' : 'rules only'})\n`);
+  console.log('type          precision   recall      f1   support');
+  for (const type of EVENT_TYPES) {
+    const { tp, fp, fn } = stats[type];
+    const precision = tp / (tp + fp);
+    const recall = tp / (tp + fn);
+    const f1 = (2 * precision * recall) / (precision + recall);
+    console.log(`${type.padEnd(12)} ${percent(precision).padStart(10)} ${percent(recall).padStart(8)} ${percent(f1).padStart(7)} ${String(tp + fn).padStart(9)}`);
+  }
+
+  const correct = results.filter(result => result.label === result.predicted).length;
+  console.log(`\nAccuracy: ${percent(correct / results.length)} (${correct}/${results.length})`);
+
+  const misses = results.filter(result => verbose || result.label !== result.predicted);
+  if (misses.length > 0) {
+    console.log(verbose ? '\nAll articles:' : '\nMisclassified:');
+    for (const result of misses) {
+      const { confidence, method, signals } = result.classification;
+      console.log(`  [${result.label} → ${result.predicted} ${confidence} ${method}] ${result.title}`);
+      if (signals.length) console.log(`      signals: ${signals.join(', ')}`);
+    }
+  }
+
+  const mode = llm ? 'llm' : 'rules';
+  const summary = summarize(results, stats);
+  const baseline = loadBaseline(baselineFile);
+  if (updateBaseline) {
+    const tolerance = baseline ? baseline.tolerance : DEFAULT_TOLERANCE;
+    const modes = { ...(baseline && baseline.modes), [mode]: summary };
+    fs.writeFileSync(baselineFile, JSON.stringify({ tolerance, modes }, null, 2) + '\n');
+    console.log(`\n💾 Baseline updated: ${path.relative(process.cwd(), baselineFile)}`);
+    return { summary, regressions: [] };
+  }
+  if (!baseline || !(baseline.modes || {})[mode]) {
+    console.log(`\n⚠️  No ${mode} baseline yet; run with --update-baseline to create one`);
+    return { summary, regressions: [] };
+  }
+
+  const found = regressions(summary, baseline.modes[mode], baseline.tolerance ?? DEFAULT_TOLERANCE);
+  if (found.length > 0) {
+    console.log('\n❌ Classifier quality regressed:');
+    found.forEach(line => console.log(`  - ${line}`));
+  } else {
+    console.log('\n✅ No regressions against the baseline');
+  }
+  return { summary, regressions: found };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const fileIndex = args.indexOf('--file');
+  evaluate({
+    file: fileIndex >= 0 ? path.resolve(args[fileIndex + 1]) : undefined,
+    llm: args.includes('--llm'),
+    verbose: args.includes('--verbose'),
+    updateBaseline: args.includes('--update-baseline'),
+  }).then(({ regressions: found }) => {
+    if (found.length > 0) process.exit(1);
+  }).catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  evaluate,
+  loadFixtures,
+  summarize,
+  regressions,
+};
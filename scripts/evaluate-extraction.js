@@ -0,0 +1,281 @@
+// Measure extraction quality against the labeled golden set
+//
+// Usage: node scripts/evaluate-extraction.js [--file fixtures.jsonl] [--provider name] [--verbose]
+//                                            [--update-baseline] [--record]
+//
+// Every fixture article carries its expected record and the raw text each AI
+// provider returned for it. The recorded responses are replayed through
+// parseAIResponse and validateRecord, exactly as the scraper handles a live
+// response, and the rule extractor runs as a baseline. Prints accuracy per
+// provider for company, amount, round, investors and date, then the misses.
+//
+// Exits non-zero when any provider/field drops below the accuracy stored in
+// data/fixtures/extraction-baseline.json (by more than its tolerance).
+// --update-baseline writes the current numbers there instead; --record calls
+// the configured providers and stores their responses in the fixture file.
+
+const fs = require('fs');
+const path = require('path');
+const { classifyArticle } = require('./classifier');
+const { extractWithRules } = require('./rule-extractor');
+const { parseAIResponse, buildExtractionPrompt } = require('./scraper');
+const { validateRecord, parseAmount, splitInvestorNames } = require('./schema');
+const { normalizeCompanyName } = require('./entity-resolution');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'data', 'fixtures', 'extraction.jsonl');
+const DEFAULT_BASELINE = path.join(__dirname, '..', 'data', 'fixtures', 'extraction-baseline.json');
+
+const FIELDS = ['company', 'amount', 'round', 'investors', 'date'];
+const DEFAULT_TOLERANCE = 0.01;
+
+// Amounts match when within half a percent ("$2.5 Mn" vs "$2,500,000")
+const AMOUNT_TOLERANCE = 0.005;
+
+const EXPECTED_KEYS = ['event_type', 'company', 'amount', 'funding_round', 'investors', 'funding_news_date'];
+
+function loadFixtures(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      const item = JSON.parse(line);
+      const where = `${filePath}:${index + 1}`;
+      if (!item.id || !item.article || !item.article.title) throw new Error(`${where}: needs an id and an article with a title`);
+      const missing = EXPECTED_KEYS.filter(key => !item.expected || item.expected[key] === undefined);
+      if (missing.length) throw new Error(`${where}: expected record is missing ${missing.join(', ')}`);
+      if (parseAmount(item.expected.amount) === undefined) throw new Error(`${where}: expected amount "${item.expected.amount}" does not parse`);
+      if (item.expected.amount_currency && parseAmount(item.expected.amount).currency !== item.expected.amount_currency) {
+        throw new Error(`${where}: expected amount "${item.expected.amount}" does not parse as ${item.expected.amount_currency}`);
+      }
+      return { responses: {}, ...item };
+    });
+}
+
+function saveFixtures(filePath, fixtures) {
+  fs.writeFileSync(filePath, fixtures.map(item => JSON.stringify(item)).join('\n') + '\n');
+}
+
+function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function percent(value) {
+  return Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : '—';
+}
+
+// `amount_currency` pins the currency where the amount parser itself is under test ("S$10 million")
+function sameAmount(actual, expected) {
+  const want = parseAmount(expected.amount);
+  if (!want) return actual.amount_value === null;
+  if (actual.amount_value === null || actual.amount_currency !== (expected.amount_currency || want.currency)) return false;
+  return Math.abs(actual.amount_value - want.value) <= want.value * AMOUNT_TOLERANCE;
+}
+
+function sameInvestors(actual, expected) {
+  const key = names => [...new Set(names.map(name => name.toLowerCase()))].sort().join('|');
+  return key(actual.investors) === key(splitInvestorNames(expected.investors));
+}
+
+// Field checks against a validated record: [matches, what was extracted]
+const CHECKS = {
+  company: (actual, expected) => [normalizeCompanyName(actual.company) === normalizeCompanyName(expected.company), actual.company],
+  amount: (actual, expected) => [sameAmount(actual, expected), actual.amount],
+  round: (actual, expected) => [(actual.funding_round || '').toLowerCase() === expected.funding_round.toLowerCase(), actual.funding_round],
+  investors: (actual, expected) => [sameInvestors(actual, expected), actual.investors.join(', ')],
+  date: (actual, expected) => [actual.funding_news_date === expected.funding_news_date, actual.funding_news_date],
+};
+
+const EXPECTED_TEXT = {
+  company: expected => expected.company,
+  amount: expected => (expected.amount_currency ? `${expected.amount} (${expected.amount_currency})` : expected.amount),
+  round: expected => expected.funding_round,
+  investors: expected => expected.investors.join(', '),
+  date: expected => expected.funding_news_date,
+};
+
+// Score one extraction: { ok: { field: bool }, misses: [{ field, expected, got }], reason }
+function scoreRecord(extracted, item, article) {
+  const ok = Object.fromEntries(FIELDS.map(field => [field, false]));
+  if (!extracted) return { ok, misses: [], reason: 'no record extracted' };
+
+  const { record, errors } = validateRecord(extracted, article);
+  if (errors.length) return { ok, misses: [], reason: `quarantined: ${errors.join('; ')}` };
+
+  const misses = [];
+  for (const field of FIELDS) {
+    const [match, got] = CHECKS[field](record, item.expected);
+    ok[field] = match;
+    if (!match) misses.push({ field, expected: EXPECTED_TEXT[field](item.expected), got: got || '(empty)' });
+  }
+  return { ok, misses, reason: null };
+}
+
+// The article as the scraper sees it at extraction time (classified, rules only)
+async function prepareArticle(item) {
+  return { ...item.article, classification: await classifyArticle(item.article) };
+}
+
+// { extractor: [{ item, ok, misses, reason }] } for the recorded providers plus "rules"
+async function runExtractors(fixtures, only = null) {
+  const results = {};
+  const add = (name, entry) => (results[name] = results[name] || []).push(entry);
+
+  for (const item of fixtures) {
+    const article = await prepareArticle(item);
+    if (!only || only === 'rules') add('rules', { item, ...scoreRecord(extractWithRules(article), item, article) });
+
+    for (const [name, text] of Object.entries(item.responses)) {
+      if (only && only !== name) continue;
+      add(name, { item, ...scoreRecord(parseAIResponse(text, article), item, article) });
+    }
+  }
+  return results;
+}
+
+// { extractor: { field: accuracy, articles } }
+function summarize(results) {
+  return Object.fromEntries(Object.entries(results).map(([name, entries]) => {
+    const accuracy = { articles: entries.length };
+    for (const field of FIELDS) {
+      accuracy[field] = Number((entries.filter(entry => entry.ok[field]).length / entries.length).toFixed(4));
+    }
+    return [name, accuracy];
+  }));
+}
+
+// ["gemini investors: 92.0% < baseline 96.0%"] for every field below the baseline
+function regressions(summary, baseline) {
+  const tolerance = baseline.tolerance ?? DEFAULT_TOLERANCE;
+  const found = [];
+  for (const [name, expected] of Object.entries(baseline.accuracy || {})) {
+    const actual = summary[name];
+    if (!actual) continue;
+    for (const field of FIELDS) {
+      if (expected[field] !== undefined && actual[field] < expected[field] - tolerance) {
+        found.push(`${name} ${field}: ${percent(actual[field])} < baseline ${percent(expected[field])}`);
+      }
+    }
+  }
+  return found;
+}
+
+function printReport(summary, results, verbose) {
+  console.log('extractor     articles ' + FIELDS.map(field => field.padStart(10)).join(''));
+  for (const [name, accuracy] of Object.entries(summary)) {
+    console.log(`${name.padEnd(13)} ${String(accuracy.articles).padStart(8)} ${FIELDS.map(field => percent(accuracy[field]).padStart(10)).join('')}`);
+  }
+
+  const lines = [];
+  for (const [name, entries] of Object.entries(results)) {
+    for (const { item, misses, reason } of entries) {
+      if (reason) lines.push(`  [${name}] ${item.id}: ${reason}`);
+      for (const { field, expected, got } of misses) {
+        lines.push(`  [${name}] ${item.id}: ${field} expected "${expected}", got "${got}"`);
+      }
+      if (verbose && !reason && misses.length === 0) lines.push(`  [${name}] ${item.id}: ok`);
+    }
+  }
+  if (lines.length > 0) {
+    console.log(verbose ? '\nAll articles:' : '\nMisses:');
+    lines.forEach(line => console.log(line));
+  }
+}
+
+// Call the configured providers for every fixture and store the raw text
+async function recordResponses(file, fixtures, only = null) {
+  const { resolveProviders } = require('./providers');
+  const { createRateLimiter } = require('./rate-limit');
+  const { openStore } = require('./store');
+
+  const providers = resolveProviders().filter(({ provider }) => !only || provider.name === only);
+  if (providers.length === 0) throw new Error(only ? `Provider "${only}" is not configured` : 'No AI providers are configured');
+
+  const store = await openStore();
+  try {
+    const limiter = createRateLimiter(providers, store);
+    for (const item of fixtures) {
+      const prompt = buildExtractionPrompt(await prepareArticle(item));
+      for (const { provider, settings } of providers) {
+        if (!(await limiter.acquire(provider.name))) {
+          console.log(`⚠️  ${provider.name} has used its daily quota; skipping ${item.id}`);
+          continue;
+        }
+        try {
+          item.responses[provider.name] = provider.parse(await provider.call(prompt, settings));
+          console.log(`📝 ${provider.name}: ${item.id}`);
+        } catch (error) {
+          console.error(`${provider.name} failed on ${item.id}:`, error.response?.data?.error || error.message);
+        }
+      }
+      saveFixtures(file, fixtures);
+    }
+  } finally {
+    store.close();
+  }
+}
+
+// Returns { summary, regressions }; regressions is empty when quality held
+async function evaluate({
+  file = DEFAULT_FIXTURES,
+  baselineFile = DEFAULT_BASELINE,
+  provider = null,
+  verbose = false,
+  updateBaseline = false,
+  record = false,
+} = {}) {
+  const fixtures = loadFixtures(file);
+  if (record) await recordResponses(file, fixtures, provider);
+
+  const results = await runExtractors(fixtures, provider);
+  const summary = summarize(results);
+  console.log(`Extraction evaluation (${fixtures.length} articles, recorded responses)\n`);
+  printReport(summary, results, verbose);
+
+  const baseline = loadBaseline(baselineFile);
+  if (updateBaseline) {
+    const accuracy = { ...(baseline && baseline.accuracy), ...summary };
+    const tolerance = baseline ? baseline.tolerance : DEFAULT_TOLERANCE;
+    fs.writeFileSync(baselineFile, JSON.stringify({ tolerance, accuracy }, null, 2) + '\n');
+    console.log(`\n💾 Baseline updated: ${path.relative(process.cwd(), baselineFile)}`);
+    return { summary, regressions: [] };
+  }
+  if (!baseline) {
+    console.log('\n⚠️  No baseline yet; run with --update-baseline to create one');
+    return { summary, regressions: [] };
+  }
+
+  const found = regressions(summary, baseline);
+  if (found.length > 0) {
+    console.log('\n❌ Extraction quality regressed:');
+    found.forEach(line => console.log(`  - ${line}`));
+  } else {
+    console.log('\n✅ No regressions against the baseline');
+  }
+  return { summary, regressions: found };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+  evaluate({
+    file: valueOf('--file') ? path.resolve(valueOf('--file')) : undefined,
+    provider: valueOf('--provider') || null,
+    verbose: args.includes('--verbose'),
+    updateBaseline: args.includes('--update-baseline'),
+    record: args.includes('--record'),
+  }).then(({ regressions: found }) => {
+    if (found.length > 0) process.exit(1);
+  }).catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  evaluate,
+  loadFixtures,
+  scoreRecord,
+  summarize,
+  regressions,
+};
@@ -0,0 +1,407 @@
+// Feed parser for RSS 2.0, RSS 1.0 (RDF) and Atom
+//
+// A small, dependency-free XML reader tolerant of the sloppy markup news
+// sites tend to publish (undeclared prefixes, stray closing tags, HTML
+// entities), plus the mapping from each feed format to our article shape.
+// pubDate is the publication day in the tracker's time zone (scripts/dates.js),
+// or '' when the feed gives no readable date.
+
+const { toDay } = require('./dates');
+
+const NS = {
+  ATOM: 'http://www.w3.org/2005/Atom',
+  ATOM_03: 'http://purl.org/atom/ns#',
+  RSS1: 'http://purl.org/rss/1.0/',
+  RSS_090: 'http://my.netscape.com/rdf/simple/0.9/',
+  RDF: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  DC: 'http://purl.org/dc/elements/1.1/',
+  CONTENT: 'http://purl.org/rss/1.0/modules/content/',
+  XML: 'http://www.w3.org/XML/1998/namespace',
+};
+
+// Prefixes feeds commonly use without declaring them
+const DEFAULT_PREFIXES = {
+  xml: NS.XML,
+  atom: NS.ATOM,
+  rdf: NS.RDF,
+  dc: NS.DC,
+  content: NS.CONTENT,
+};
+
+const ATOM_NS = [NS.ATOM, NS.ATOM_03];
+const RDF_ITEM_NS = [NS.RSS1, NS.RSS_090, ''];
+const ATOM_ENTRY_NS = ATOM_NS.concat('');
+
+// XML entities plus the HTML ones that show up in feed titles and bodies
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  nbsp: '\u00a0', ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  laquo: '«', raquo: '»', lsaquo: '‹', rsaquo: '›',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', divide: '÷',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶',
+  eacute: 'é', egrave: 'è', aacute: 'á', agrave: 'à', ouml: 'ö', uuml: 'ü',
+  auml: 'ä', ntilde: 'ñ', ccedil: 'ç', szlig: 'ß', iexcl: '¡', iquest: '¿',
+};
+
+// Decode named, decimal and hex character references; unknown ones are kept verbatim
+function decodeEntities(str) {
+  if (!str || str.indexOf('&') === -1) return str || '';
+
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      if (!Number.isFinite(code) || code < 1 || code > 0x10ffff) return match;
+      return String.fromCodePoint(code);
+    }
+    const named = NAMED_ENTITIES[ref] ?? NAMED_ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+// Split a start tag body (`name a="1" b='2'`) into name and attributes
+function parseTag(body) {
+  const nameMatch = body.match(/^[^\s/>]+/);
+  const name = nameMatch ? nameMatch[0] : '';
+  const attrs = {};
+  const attrRegex = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  attrRegex.lastIndex = name.length;
+
+  let match;
+  while ((match = attrRegex.exec(body)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attrs[match[1]] = decodeEntities(value);
+  }
+
+  return { name, attrs };
+}
+
+// Find the `>` closing a tag, ignoring any inside quoted attribute values
+function findTagEnd(xml, from) {
+  let quote = null;
+  for (let i = from; i < xml.length; i++) {
+    const ch = xml[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Resolve the element's namespace from xmlns declarations in scope
+function resolveNamespace(element, parent) {
+  const scope = { ...parent.scope };
+  for (const [attr, value] of Object.entries(element.attrs)) {
+    if (attr === 'xmlns') scope[''] = value;
+    else if (attr.startsWith('xmlns:')) scope[attr.slice(6)] = value;
+  }
+
+  const colon = element.name.indexOf(':');
+  const prefix = colon === -1 ? '' : element.name.slice(0, colon);
+  element.local = colon === -1 ? element.name : element.name.slice(colon + 1);
+  element.ns = scope[prefix] ?? DEFAULT_PREFIXES[prefix] ?? (prefix ? prefix : '');
+  element.scope = scope;
+}
+
+// Parse XML into a lightweight tree: { name, local, ns, attrs, children }
+// where children are elements or decoded text strings.
+function parseXML(xml) {
+  const root = { name: '#document', local: '#document', ns: '', attrs: {}, children: [], scope: {} };
+  const stack = [root];
+  const source = String(xml || '').replace(/^\uFEFF/, '');
+  let pos = 0;
+
+  const appendText = text => {
+    if (text) stack[stack.length - 1].children.push(text);
+  };
+
+  while (pos < source.length) {
+    const lt = source.indexOf('<', pos);
+    if (lt === -1) {
+      appendText(decodeEntities(source.slice(pos)));
+      break;
+    }
+    if (lt > pos) appendText(decodeEntities(source.slice(pos, lt)));
+
+    if (source.startsWith('<!--', lt)) {
+      const end = source.indexOf('-->', lt + 4);
+      pos = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    if (source.startsWith('<![CDATA[', lt)) {
+      const end = source.indexOf(']]>', lt + 9);
+      appendText(source.slice(lt + 9, end === -1 ? source.length : end));
+      pos = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    if (source.startsWith('<?', lt)) {
+      const end = source.indexOf('?>', lt + 2);
+      pos = end === -1 ? source.length : end + 2;
+      continue;
+    }
+
+    if (source.startsWith('<!', lt)) {
+      // DOCTYPE, possibly with an internal subset in [...]
+      const bracket = source.indexOf('[', lt);
+      const close = source.indexOf('>', lt);
+      let end = close;
+      if (bracket !== -1 && bracket < close) {
+        const subsetEnd = source.indexOf(']', bracket);
+        end = subsetEnd === -1 ? -1 : source.indexOf('>', subsetEnd);
+      }
+      pos = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    const end = findTagEnd(source, lt + 1);
+    if (end === -1) {
+      appendText(decodeEntities(source.slice(lt)));
+      break;
+    }
+    pos = end + 1;
+
+    if (source[lt + 1] === '/') {
+      // Closing tag: pop to the matching element, ignore strays
+      const name = source.slice(lt + 2, end).trim();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+
+    let body = source.slice(lt + 1, end);
+    const selfClosing = body.endsWith('/');
+    if (selfClosing) body = body.slice(0, -1);
+
+    const { name, attrs } = parseTag(body.trim());
+    if (!name) {
+      appendText('<' + body + '>');
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    const element = { name, attrs, children: [] };
+    resolveNamespace(element, parent);
+    parent.children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+
+  return root;
+}
+
+// Tree helpers
+function nsMatches(node, ns) {
+  return Array.isArray(ns) ? ns.includes(node.ns) : node.ns === ns;
+}
+
+function childElements(node) {
+  return node ? node.children.filter(child => typeof child === 'object') : [];
+}
+
+function findChild(node, ns, local) {
+  return childElements(node).find(child => child.local === local && nsMatches(child, ns)) || null;
+}
+
+function findChildren(node, ns, local) {
+  return childElements(node).filter(child => child.local === local && nsMatches(child, ns));
+}
+
+function textOf(node) {
+  if (!node) return '';
+  return node.children.map(child => (typeof child === 'string' ? child : textOf(child))).join('');
+}
+
+// Serialize an element's children back to markup (Atom type="xhtml" bodies)
+function innerXML(node) {
+  if (!node) return '';
+  return node.children.map(child => {
+    if (typeof child === 'string') return child;
+    const attrs = Object.entries(child.attrs)
+      .filter(([attr]) => attr !== 'xmlns' && !attr.startsWith('xmlns:'))
+      .map(([attr, value]) => ` ${attr}="${value.replace(/"/g, '&quot;')}"`)
+      .join('');
+    return `<${child.local}${attrs}>${innerXML(child)}</${child.local}>`;
+  }).join('');
+}
+
+// Convert an HTML fragment to readable plain text
+function htmlToText(html) {
+  if (!html) return '';
+
+  const text = html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|blockquote|tr|section|article)>/gi, '\n')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeEntities(text)
+    .replace(/[\u00a0\u2002\u2003\u2009]/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t\r\f\v]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Atom text constructs may be text, html or xhtml
+function atomText(node) {
+  if (!node) return '';
+  const type = (node.attrs.type || 'text').toLowerCase();
+  if (type === 'xhtml' || type === 'application/xhtml+xml') return htmlToText(innerXML(node));
+  if (type === 'html' || type === 'text/html') return htmlToText(textOf(node));
+  return decodeEntities(textOf(node)).trim();
+}
+
+function resolveUrl(href, base) {
+  if (!href) return '';
+  try {
+    return new URL(href.trim(), base || undefined).toString();
+  } catch (error) {
+    return href.trim();
+  }
+}
+
+function looksLikeUrl(value) {
+  return /^https?:\/\//i.test(value || '');
+}
+
+// RSS 2.0 <item> (also RSS 0.9x)
+function parseRSSItem(item, feedUrl) {
+  const text = local => textOf(findChild(item, '', local)).trim();
+
+  const guidNode = findChild(item, '', 'guid');
+  const guid = textOf(guidNode).trim();
+  const atomLink = findChildren(item, ATOM_NS, 'link').find(link => !link.attrs.rel || link.attrs.rel === 'alternate');
+
+  let link = text('link') || (atomLink ? atomLink.attrs.href : '');
+  if (!link && guidNode && guidNode.attrs.isPermaLink !== 'false' && looksLikeUrl(guid)) link = guid;
+
+  const descriptionHtml = textOf(findChild(item, '', 'description'));
+  const contentHtml = textOf(findChild(item, NS.CONTENT, 'encoded'));
+  const date = text('pubDate') || textOf(findChild(item, NS.DC, 'date')) || textOf(findChild(item, ATOM_NS, 'updated'));
+
+  const url = resolveUrl(link, feedUrl);
+
+  return {
+    title: htmlToText(text('title')),
+    link: url,
+    description: htmlToText(descriptionHtml || contentHtml),
+    content: htmlToText(contentHtml || descriptionHtml),
+    guid: guid || url,
+    pubDate: toDay(date),
+    author: text('author') || textOf(findChild(item, NS.DC, 'creator')).trim(),
+    categories: findChildren(item, '', 'category')
+      .concat(findChildren(item, NS.DC, 'subject'))
+      .map(node => htmlToText(textOf(node)))
+      .filter(Boolean),
+  };
+}
+
+// RSS 1.0 / RDF <item rdf:about="...">
+function parseRDFItem(item, feedUrl) {
+  const text = local => textOf(findChild(item, RDF_ITEM_NS, local)).trim();
+  const about = item.attrs['rdf:about'] || '';
+
+  const descriptionHtml = text('description');
+  const contentHtml = textOf(findChild(item, NS.CONTENT, 'encoded'));
+  const link = text('link') || about;
+
+  return {
+    title: htmlToText(text('title')),
+    link: resolveUrl(link, feedUrl),
+    description: htmlToText(descriptionHtml || contentHtml),
+    content: htmlToText(contentHtml || descriptionHtml),
+    guid: about || link,
+    pubDate: toDay(textOf(findChild(item, NS.DC, 'date'))),
+    author: textOf(findChild(item, NS.DC, 'creator')).trim(),
+    categories: findChildren(item, NS.DC, 'subject').map(node => htmlToText(textOf(node))).filter(Boolean),
+  };
+}
+
+// Atom <entry>
+function parseAtomEntry(entry, feedUrl, feedBase) {
+  const base = resolveUrl(entry.attrs['xml:base'] || '', feedBase || feedUrl) || feedBase || feedUrl;
+  const links = findChildren(entry, ATOM_ENTRY_NS, 'link');
+  const alternate = links.find(link => (!link.attrs.rel || link.attrs.rel === 'alternate') && (!link.attrs.type || /html/i.test(link.attrs.type)))
+    || links.find(link => !link.attrs.rel || link.attrs.rel === 'alternate')
+    || links[0];
+
+  const summary = atomText(findChild(entry, ATOM_ENTRY_NS, 'summary'));
+  const content = atomText(findChild(entry, ATOM_ENTRY_NS, 'content'));
+  const date = ['published', 'updated', 'issued', 'modified']
+    .map(local => textOf(findChild(entry, ATOM_ENTRY_NS, local)).trim())
+    .find(Boolean);
+  const author = findChild(entry, ATOM_ENTRY_NS, 'author');
+
+  return {
+    title: atomText(findChild(entry, ATOM_ENTRY_NS, 'title')),
+    link: alternate ? resolveUrl(alternate.attrs.href, base) : '',
+    description: summary || content,
+    content: content || summary,
+    guid: textOf(findChild(entry, ATOM_ENTRY_NS, 'id')).trim(),
+    pubDate: toDay(date),
+    author: author ? textOf(findChild(author, ATOM_ENTRY_NS, 'name')).trim() : '',
+    categories: findChildren(entry, ATOM_ENTRY_NS, 'category')
+      .map(node => node.attrs.label || node.attrs.term || '')
+      .filter(Boolean),
+  };
+}
+
+// Parse a feed document into { format, title, items }
+function parseFeed(xml, feedUrl) {
+  const doc = parseXML(xml);
+  const root = childElements(doc)[0];
+  if (!root) return { format: 'unknown', title: '', items: [] };
+
+  let format = 'unknown';
+  let title = '';
+  let items = [];
+
+  if (root.local === 'rss' || (root.local === 'channel' && root.ns === '')) {
+    const channel = root.local === 'channel' ? root : findChild(root, '', 'channel');
+    format = 'rss';
+    title = htmlToText(textOf(findChild(channel, '', 'title')));
+    // Some RSS 0.9x feeds put items next to the channel instead of inside it
+    const nodes = findChildren(channel, '', 'item').concat(findChildren(root, '', 'item'));
+    items = nodes.map(item => parseRSSItem(item, feedUrl));
+  } else if (root.local === 'RDF' && root.ns === NS.RDF) {
+    format = 'rdf';
+    title = htmlToText(textOf(findChild(findChild(root, RDF_ITEM_NS, 'channel'), RDF_ITEM_NS, 'title')));
+    items = findChildren(root, RDF_ITEM_NS, 'item').map(item => parseRDFItem(item, feedUrl));
+  } else if (root.local === 'feed' && nsMatches(root, ATOM_ENTRY_NS)) {
+    const base = resolveUrl(root.attrs['xml:base'] || '', feedUrl) || feedUrl;
+    format = 'atom';
+    title = atomText(findChild(root, ATOM_ENTRY_NS, 'title'));
+    items = findChildren(root, ATOM_ENTRY_NS, 'entry').map(entry => parseAtomEntry(entry, feedUrl, base));
+  }
+
+  const source = feedUrl ? new URL(feedUrl).hostname : '';
+
+  return {
+    format,
+    title,
+    // Only keep items with the minimum required fields
+    items: items
+      .filter(item => item.title && item.link)
+      .map(item => ({ ...item, guid: item.guid || item.link, source })),
+  };
+}
+
+module.exports = {
+  parseFeed,
+  parseXML,
+  decodeEntities,
+  htmlToText,
+};
@@ -0,0 +1,262 @@
+// Feed registry
+//
+// Sources are declared in config/feeds.json (or the file named by FEEDS_CONFIG)
+// so adding, disabling or re-prioritising a feed is a config change. The same
+// registry supplies the source priorities used when merging entries.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'feeds.json');
+const DEFAULT_PRIORITY = 999;
+const DEFAULT_TIMEOUT = 15000;
+
+// Full-text fetching is off unless a feed (or the defaults) opts in
+const DEFAULT_FULL_TEXT = {
+  enabled: false,
+  maxBytes: 2000000,
+  maxChars: 8000,
+  cacheDays: 30,
+};
+
+// How `fundtrackr backfill` walks a feed's history: `?paged=N` feed pages
+// (WordPress), a date archive URL template and/or a sitemap
+const DEFAULT_BACKFILL = {
+  paged: true,
+  archive: null,
+  sitemap: null,
+  maxPages: 50,
+  delayMs: 1000,
+};
+
+// Strip "www." so feed hosts and article hosts compare equal
+function normalizeHost(hostname) {
+  return String(hostname || '').toLowerCase().replace(/^www\./, '');
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isStringMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string');
+}
+
+// `fullText` is either true/false or { enabled, maxBytes, maxChars, cacheDays }
+function validateFullText(value, label) {
+  if (value === undefined || typeof value === 'boolean') return [];
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return [`${label} must be true, false or an object`];
+  }
+
+  const errors = [];
+  const { enabled, ...limits } = value;
+  if (enabled !== undefined && typeof enabled !== 'boolean') errors.push(`${label}.enabled must be true or false`);
+  for (const [key, limit] of Object.entries(limits)) {
+    if (!(key in DEFAULT_FULL_TEXT)) errors.push(`${label} has unknown key "${key}"`);
+    else if (!(Number.isInteger(limit) && limit > 0)) errors.push(`${label}.${key} must be a positive integer`);
+  }
+  return errors;
+}
+
+// `backfill` is { paged, archive, sitemap, maxPages, delayMs }; archive and
+// sitemap are per feed only
+function validateBackfill(value, label, { perFeed }) {
+  if (value === undefined) return [];
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return [`${label} must be an object`];
+
+  const errors = [];
+  for (const [key, setting] of Object.entries(value)) {
+    if (!(key in DEFAULT_BACKFILL) || (!perFeed && ['archive', 'sitemap'].includes(key))) {
+      errors.push(`${label} has unknown key "${key}"`);
+    } else if (key === 'paged' && typeof setting !== 'boolean') {
+      errors.push(`${label}.paged must be true or false`);
+    } else if (['maxPages', 'delayMs'].includes(key) && !(Number.isInteger(setting) && setting >= 0)) {
+      errors.push(`${label}.${key} must be a whole number`);
+    } else if (key === 'archive' && !(typeof setting === 'string' && /^https?:\/\/.*\{yyyy\}/.test(setting))) {
+      errors.push(`${label}.archive must be an http(s) URL containing {yyyy} (and {mm}, optionally {dd})`);
+    } else if (key === 'sitemap' && !(typeof setting === 'string' && /^https?:\/\//.test(setting))) {
+      errors.push(`${label}.sitemap must be an http(s) URL`);
+    }
+  }
+  return errors;
+}
+
+function fullTextSettings(value) {
+  if (typeof value === 'boolean') return { enabled: value };
+  return value || {};
+}
+
+// Check a raw config object, returning a list of human-readable problems
+function validateFeedsConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object with a "feeds" array'];
+  }
+
+  const defaults = config.defaults || {};
+  if (defaults.headers !== undefined && !isStringMap(defaults.headers)) {
+    errors.push('defaults.headers must map header names to strings');
+  }
+  if (defaults.timeout !== undefined && !(Number.isInteger(defaults.timeout) && defaults.timeout > 0)) {
+    errors.push('defaults.timeout must be a positive integer (ms)');
+  }
+  errors.push(...validateFullText(defaults.fullText, 'defaults.fullText'));
+  errors.push(...validateBackfill(defaults.backfill, 'defaults.backfill', { perFeed: false }));
+
+  if (!Array.isArray(config.feeds)) {
+    errors.push('"feeds" must be an array');
+    return errors;
+  }
+
+  const seenUrls = new Set();
+  config.feeds.forEach((feed, index) => {
+    const label = `feeds[${index}]${feed && feed.name ? ` (${feed.name})` : ''}`;
+
+    if (!feed || typeof feed !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (typeof feed.url !== 'string') {
+      errors.push(`${label}.url is required`);
+    } else {
+      try {
+        const url = new URL(feed.url);
+        if (!['http:', 'https:'].includes(url.protocol)) errors.push(`${label}.url must be http(s)`);
+      } catch (error) {
+        errors.push(`${label}.url is not a valid URL`);
+      }
+      if (seenUrls.has(feed.url)) errors.push(`${label}.url is listed more than once`);
+      seenUrls.add(feed.url);
+    }
+
+    if (feed.name !== undefined && typeof feed.name !== 'string') errors.push(`${label}.name must be a string`);
+    if (feed.priority !== undefined && !(Number.isInteger(feed.priority) && feed.priority > 0)) {
+      errors.push(`${label}.priority must be a positive integer`);
+    }
+    if (feed.enabled !== undefined && typeof feed.enabled !== 'boolean') errors.push(`${label}.enabled must be true or false`);
+    if (feed.regions !== undefined && !isStringArray(feed.regions)) errors.push(`${label}.regions must be an array of strings`);
+    if (feed.domains !== undefined && !isStringArray(feed.domains)) errors.push(`${label}.domains must be an array of strings`);
+    if (feed.headers !== undefined && !isStringMap(feed.headers)) errors.push(`${label}.headers must map header names to strings`);
+    if (feed.timeout !== undefined && !(Number.isInteger(feed.timeout) && feed.timeout > 0)) {
+      errors.push(`${label}.timeout must be a positive integer (ms)`);
+    }
+    errors.push(...validateFullText(feed.fullText, `${label}.fullText`));
+    errors.push(...validateBackfill(feed.backfill, `${label}.backfill`, { perFeed: true }));
+
+    if (feed.keywords !== undefined) {
+      const { include, exclude, ...rest } = feed.keywords || {};
+      if (include !== undefined && !isStringArray(include)) errors.push(`${label}.keywords.include must be an array of strings`);
+      if (exclude !== undefined && !isStringArray(exclude)) errors.push(`${label}.keywords.exclude must be an array of strings`);
+      if (Object.keys(rest).length) errors.push(`${label}.keywords has unknown keys: ${Object.keys(rest).join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+// Fill in defaults for a validated feed entry
+function normalizeFeed(feed, defaults) {
+  const host = normalizeHost(new URL(feed.url).hostname);
+  return {
+    name: feed.name || host,
+    url: feed.url,
+    priority: feed.priority || DEFAULT_PRIORITY,
+    regions: feed.regions || [],
+    enabled: feed.enabled !== false,
+    domains: (feed.domains || [host]).map(normalizeHost),
+    keywords: {
+      include: ((feed.keywords && feed.keywords.include) || []).map(keyword => keyword.toLowerCase()),
+      exclude: ((feed.keywords && feed.keywords.exclude) || []).map(keyword => keyword.toLowerCase()),
+    },
+    headers: { ...(defaults.headers || {}), ...(feed.headers || {}) },
+    timeout: feed.timeout || defaults.timeout || DEFAULT_TIMEOUT,
+    fullText: {
+      ...DEFAULT_FULL_TEXT,
+      ...fullTextSettings(defaults.fullText),
+      ...fullTextSettings(feed.fullText),
+    },
+    backfill: {
+      ...DEFAULT_BACKFILL,
+      ...(defaults.backfill || {}),
+      ...(feed.backfill || {}),
+    },
+  };
+}
+
+// Build the registry from a raw config object (throws if invalid)
+function createFeedRegistry(config, configPath = 'feeds config') {
+  const errors = validateFeedsConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${configPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const defaults = config.defaults || {};
+  const feeds = config.feeds.map(feed => normalizeFeed(feed, defaults));
+
+  // The most trusted feed wins when several share a domain
+  const priorities = {};
+  for (const feed of feeds) {
+    for (const domain of feed.domains) {
+      priorities[domain] = Math.min(priorities[domain] || DEFAULT_PRIORITY, feed.priority);
+    }
+  }
+
+  return {
+    feeds,
+    enabledFeeds: feeds.filter(feed => feed.enabled),
+    priorities,
+  };
+}
+
+// Load and validate the feeds config file
+function loadFeedRegistry(configPath = process.env.FEEDS_CONFIG || DEFAULT_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read feeds config ${configPath}: ${error.message}`);
+  }
+  return createFeedRegistry(config, configPath);
+}
+
+// Source priority for an article or feed URL (lower = more trusted)
+function getSourcePriority(registry, url) {
+  let host;
+  try {
+    host = normalizeHost(new URL(url).hostname);
+  } catch (error) {
+    return DEFAULT_PRIORITY;
+  }
+
+  // Match subdomains too (e.g. m.yourstory.com)
+  while (host) {
+    if (registry.priorities[host] !== undefined) return registry.priorities[host];
+    const dot = host.indexOf('.');
+    host = dot === -1 ? '' : host.slice(dot + 1);
+  }
+  return DEFAULT_PRIORITY;
+}
+
+// Apply a feed's include/exclude keyword filters to an article
+function matchesFeedKeywords(feed, article) {
+  const { include, exclude } = feed.keywords;
+  if (include.length === 0 && exclude.length === 0) return true;
+
+  const text = `${article.title} ${article.description}`.toLowerCase();
+  if (exclude.some(keyword => text.includes(keyword))) return false;
+  return include.length === 0 || include.some(keyword => text.includes(keyword));
+}
+
+module.exports = {
+  loadFeedRegistry,
+  createFeedRegistry,
+  validateFeedsConfig,
+  getSourcePriority,
+  matchesFeedKeywords,
+  normalizeHost,
+  DEFAULT_PRIORITY,
+};
@@ -0,0 +1,33 @@
+// Import legacy history.json files into the SQLite store
+//
+// Usage: node scripts/import-history.js [history.json ...]
+// With no arguments, imports scripts/history.json and ./history.json if present.
+
+const path = require('path');
+const { openStore, importLegacyHistory } = require('./store');
+
+async function importHistory(files) {
+  const store = await openStore();
+  try {
+    const before = store.countDeals();
+    const imported = files.length > 0
+      ? importLegacyHistory(store, files.map(file => path.resolve(file)))
+      : importLegacyHistory(store);
+
+    store.save();
+    console.log(`📥 Imported ${imported} entries (${store.countDeals() - before} new deals) into ${store.path}`);
+  } finally {
+    store.close();
+  }
+}
+
+if (require.main === module) {
+  importHistory(process.argv.slice(2)).catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  importHistory,
+};
@@ -0,0 +1,93 @@
+// Investor alias resolution
+//
+// Funds rebrand and get reported under several names ("Sequoia India",
+// "Sequoia Capital India", "Peak XV Partners"). config/investor-aliases.json
+// (or INVESTOR_ALIASES) maps each canonical name to its aliases; names are
+// compared case- and punctuation-insensitively, ignoring legal suffixes.
+// Unknown names are kept as reported.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'investor-aliases.json');
+
+const LEGAL_SUFFIXES = /(?:\s+(?:private limited|pvt ltd|pvt|ltd|limited|llp|llc|lp|inc|plc|gmbh|pte ltd|pte))+$/;
+
+let cached = null;
+
+// "Peak XV Partners LLP" -> "peak xv partners"
+function normalizeInvestorName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the\s+/, '')
+    .trim()
+    .replace(LEGAL_SUFFIXES, '')
+    .trim();
+}
+
+function validateAliases(config) {
+  const errors = [];
+  if (!config || typeof config.investors !== 'object' || Array.isArray(config.investors)) {
+    return ['"investors" must be an object of canonical name -> [aliases]'];
+  }
+
+  const owners = new Map();
+  for (const [canonical, aliases] of Object.entries(config.investors)) {
+    if (!Array.isArray(aliases) || !aliases.every(alias => typeof alias === 'string' && alias.trim())) {
+      errors.push(`investors["${canonical}"] must be an array of names`);
+      continue;
+    }
+    for (const name of [canonical, ...aliases]) {
+      const key = normalizeInvestorName(name);
+      const owner = owners.get(key);
+      if (owner && owner !== canonical) errors.push(`"${name}" is listed under both "${owner}" and "${canonical}"`);
+      owners.set(key, canonical);
+    }
+  }
+  return errors;
+}
+
+// Map of normalized name -> canonical name
+function loadInvestorAliases(configPath = process.env.INVESTOR_ALIASES || DEFAULT_CONFIG_PATH) {
+  if (cached && cached.path === configPath) return cached.aliases;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read investor aliases ${configPath}: ${error.message}`);
+  }
+  const errors = validateAliases(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${configPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const aliases = new Map();
+  for (const [canonical, names] of Object.entries(config.investors)) {
+    for (const name of [canonical, ...names]) aliases.set(normalizeInvestorName(name), canonical);
+  }
+  cached = { path: configPath, aliases };
+  return aliases;
+}
+
+// Canonical name for an investor as reported
+function resolveInvestor(name, aliases = loadInvestorAliases()) {
+  const trimmed = String(name || '').trim();
+  return aliases.get(normalizeInvestorName(trimmed)) || trimmed;
+}
+
+// Whether `name` is a canonical name or alias in the config
+function isKnownInvestor(name, aliases = loadInvestorAliases()) {
+  return aliases.has(normalizeInvestorName(name));
+}
+
+module.exports = {
+  normalizeInvestorName,
+  loadInvestorAliases,
+  resolveInvestor,
+  isKnownInvestor,
+};
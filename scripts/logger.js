@@ -0,0 +1,81 @@
+// Leveled, structured logging
+//
+// LOG_FORMAT=pretty (default) prints the usual emoji lines; LOG_FORMAT=json
+// writes one object per line ({ time, level, msg, ...fields }) for log
+// collectors. LOG_LEVEL (debug, info, warn, error; default info) drops
+// anything less severe. Debug and info go to stdout, warn and error to stderr.
+//
+// Pipeline modules log through `log`, which uses the process-wide logger
+// configured from the environment on first use (setLogger replaces it).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['pretty', 'json'];
+
+let defaultLogger = null;
+
+// Error objects don't survive JSON.stringify; keep their message and code
+function serializable(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    result[key] = value instanceof Error
+      ? { message: value.message, ...(value.code ? { code: value.code } : {}) }
+      : value;
+  }
+  return result;
+}
+
+// `context` fields are added to every JSON line (e.g. { run_id })
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || 'pretty',
+  stdout = process.stdout,
+  stderr = process.stderr,
+  context = {},
+} = {}) {
+  if (!LEVELS[level]) throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}, got "${level}"`);
+  if (!FORMATS.includes(format)) throw new Error(`LOG_FORMAT must be one of ${FORMATS.join(', ')}, got "${format}"`);
+
+  const write = (entryLevel, msg, fields = {}) => {
+    if (LEVELS[entryLevel] < LEVELS[level]) return;
+    const stream = LEVELS[entryLevel] >= LEVELS.warn ? stderr : stdout;
+    if (format === 'json') {
+      // Blank spacer lines only matter to people reading the pretty output
+      if (!msg.trim() && Object.keys(fields).length === 0) return;
+      const entry = { time: new Date().toISOString(), level: entryLevel, msg: msg.trim(), ...serializable({ ...context, ...fields }) };
+      stream.write(`${JSON.stringify(entry)}\n`);
+    } else {
+      stream.write(`${msg}\n`);
+    }
+  };
+
+  return {
+    level,
+    format,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: fields => createLogger({ level, format, stdout, stderr, context: { ...context, ...fields } }),
+  };
+}
+
+function getLogger() {
+  if (!defaultLogger) defaultLogger = createLogger();
+  return defaultLogger;
+}
+
+function setLogger(logger) {
+  defaultLogger = logger;
+}
+
+// Delegates to the current process-wide logger
+const log = Object.fromEntries(Object.keys(LEVELS).map(level => [level, (msg, fields) => getLogger()[level](msg, fields)]));
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  getLogger,
+  setLogger,
+  log,
+};
@@ -0,0 +1,184 @@
+// Local stand-in for Slack webhooks and an SMTP relay
+//
+// Accepts webhook POSTs and SMTP mail without delivering anything, so alerts
+// and digests can be tried (and checked in tests) offline. Every message is
+// kept in `messages` and, with an outbox directory, written there as
+// <n>-webhook.json or <n>-email.eml.
+//
+//   node scripts/notify-standin.js [--http-port 8025] [--smtp-port 2525] [--outbox data/outbox]
+//
+// then point the alerts at it:
+//
+//   SLACK_WEBHOOK_URL=http://127.0.0.1:8025/webhook SMTP_HOST=127.0.0.1 SMTP_PORT=2525 \
+//   ALERT_EMAIL_FROM=alerts@example.com ALERT_EMAIL_TO=you@example.com node scripts/cli.js digest --send
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+
+function createOutbox(outbox, onMessage) {
+  const messages = [];
+  if (outbox) fs.mkdirSync(outbox, { recursive: true });
+
+  return {
+    messages,
+    record(message) {
+      messages.push(message);
+      if (onMessage) onMessage(message);
+      if (!outbox) return;
+      const name = `${String(messages.length).padStart(4, '0')}-${message.type}`;
+      if (message.type === 'email') fs.writeFileSync(path.join(outbox, `${name}.eml`), message.data);
+      else fs.writeFileSync(path.join(outbox, `${name}.json`), JSON.stringify(message, null, 2));
+    },
+  };
+}
+
+function createHttpServer(outbox) {
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' }).end();
+      return;
+    }
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      let body = raw;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        // Not JSON; keep the raw text
+      }
+      outbox.record({ type: 'webhook', path: req.url, headers: req.headers, body });
+      res.writeHead(200, { 'Content-Type': 'text/plain' }).end('ok');
+    });
+  });
+}
+
+// Just enough SMTP to accept mail from scripts/smtp.js and similar clients
+function createSmtpServer(outbox) {
+  return net.createServer(socket => {
+    let buffer = '';
+    let envelope = { from: '', to: [] };
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 fundtrackr-standin ESMTP ready');
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data) {
+          if (line === '.') {
+            outbox.record({ type: 'email', from: envelope.from, to: envelope.to, data: data.join('\r\n') });
+            envelope = { from: '', to: [] };
+            data = null;
+            reply('250 OK: queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          reply('250-fundtrackr-standin');
+          reply('250-AUTH PLAIN');
+          reply('250 8BITMIME');
+        } else if (verb === 'HELO') {
+          reply('250 fundtrackr-standin');
+        } else if (verb === 'AUTH') {
+          reply('235 Authentication succeeded');
+        } else if (verb === 'MAIL') {
+          envelope = { from: line.replace(/^MAIL FROM:\s*<?|>.*$/gi, ''), to: [] };
+          reply('250 OK');
+        } else if (verb === 'RCPT') {
+          envelope.to.push(line.replace(/^RCPT TO:\s*<?|>.*$/gi, ''));
+          reply('250 OK');
+        } else if (verb === 'DATA') {
+          if (envelope.to.length === 0) {
+            reply('503 RCPT first');
+          } else {
+            data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+          }
+        } else if (verb === 'RSET') {
+          envelope = { from: '', to: [] };
+          reply('250 OK');
+        } else if (verb === 'NOOP') {
+          reply('250 OK');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+}
+
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+// Start both servers (port 0 picks a free port). Resolves with
+// { webhookUrl, smtp: { host, port }, messages, close() }. `onMessage` is
+// called with each message as it arrives.
+async function startStandIn({ httpPort = 0, smtpPort = 0, outbox = null, onMessage = null } = {}) {
+  const box = createOutbox(outbox, onMessage);
+  const httpServer = createHttpServer(box);
+  const smtpServer = createSmtpServer(box);
+  const boundHttp = await listen(httpServer, httpPort);
+  const boundSmtp = await listen(smtpServer, smtpPort);
+
+  return {
+    webhookUrl: `http://127.0.0.1:${boundHttp}/webhook`,
+    smtp: { host: '127.0.0.1', port: boundSmtp },
+    messages: box.messages,
+    close: () => Promise.all([httpServer, smtpServer].map(server => new Promise(resolve => server.close(resolve)))),
+  };
+}
+
+function parseArgs(argv) {
+  const options = { httpPort: 8025, smtpPort: 2525, outbox: null };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    if (argv[i] === '--http-port') options.httpPort = Number(value);
+    else if (argv[i] === '--smtp-port') options.smtpPort = Number(value);
+    else if (argv[i] === '--outbox') options.outbox = value;
+    else throw new Error(`Unknown option "${argv[i]}"`);
+    i++;
+  }
+  return options;
+}
+
+if (require.main === module) {
+  (async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const standIn = await startStandIn({
+      ...options,
+      onMessage: message => console.log(message.type === 'email'
+        ? `✉️  Email from ${message.from} to ${message.to.join(', ')}`
+        : `🔔 Webhook POST ${message.path}`),
+    });
+    console.log(`📮 Webhook stand-in: ${standIn.webhookUrl}`);
+    console.log(`📮 SMTP stand-in: ${standIn.smtp.host}:${standIn.smtp.port}`);
+    if (options.outbox) console.log(`📁 Writing messages to ${options.outbox}`);
+  })().catch(error => {
+    console.error('❌ Stand-in failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startStandIn,
+};
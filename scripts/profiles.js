@@ -0,0 +1,223 @@
+// Company and investor profiles
+//
+// Aggregates every deal in the store (including ones archived past the
+// retention window) into one record per company and per investor: total
+// raised, latest round, investors and co-investors, sectors. Profiles are
+// rebuilt from the deals on each run and written to the Companies and
+// Investors sheets and exports alongside the deals.
+
+const { normalizeCompanyName } = require('./entity-resolution');
+const { normalizeInvestorName, resolveInvestor } = require('./investor-aliases');
+
+// Events that raise money for the company
+const ROUND_EVENTS = ['equity', 'debt'];
+
+// Co-investors listed per investor, most frequent first
+const MAX_CO_INVESTORS = 10;
+
+function investorsOf(entry) {
+  const names = Array.isArray(entry.investors)
+    ? entry.investors
+    : String(entry.investor_name || '').split(/\s*,\s*/);
+  return [...new Set(names.filter(Boolean).map(name => resolveInvestor(name)))];
+}
+
+function sectorsOf(entry) {
+  return String(entry.industry || '').split(/\s*[,/|]\s*/).map(sector => sector.trim()).filter(Boolean);
+}
+
+function isRound(entry) {
+  return ROUND_EVENTS.includes(entry.event_type || 'equity');
+}
+
+// Oldest first, so later deals overwrite "latest" fields
+function byDate(a, b) {
+  return String(a.funding_news_date).localeCompare(String(b.funding_news_date));
+}
+
+// "$12.5M", "$1.2B", "$800K"; '' for nothing known
+function formatUsd(value) {
+  if (!value) return '';
+  const scales = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+  const [divisor, suffix] = scales.find(([size]) => value >= size) || [1, ''];
+  return `$${Number((value / divisor).toFixed(1))}${suffix}`;
+}
+
+// Names sorted by count (then name) as "Name (n)" when seen more than once
+function ranked(counts, limit = Infinity) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([name, count]) => (count > 1 ? `${name} (${count})` : name));
+}
+
+function increment(counts, key) {
+  counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+function companyStatus(entry) {
+  if (entry.event_type === 'acquisition') return `Acquired by ${entry.acquirer}`;
+  if (entry.event_type === 'ipo') return entry.listing_exchange ? `Listed (${entry.listing_exchange})` : 'Listed';
+  if (entry.event_type === 'shutdown') return 'Shut down';
+  return null;
+}
+
+// One profile per company, sorted by name
+function buildCompanyProfiles(entries) {
+  const profiles = new Map();
+
+  for (const entry of [...entries].sort(byDate)) {
+    const key = normalizeCompanyName(entry.company);
+    if (!key) continue;
+    if (!profiles.has(key)) {
+      profiles.set(key, {
+        company: entry.company,
+        website: '',
+        status: 'Active',
+        deals: 0,
+        rounds: 0,
+        total_raised_usd: 0,
+        undisclosed_rounds: 0,
+        last_round: '',
+        last_round_date: '',
+        last_round_amount: '',
+        investors: new Set(),
+        sectors: new Set(),
+        first_seen: entry.funding_news_date,
+        last_seen: entry.funding_news_date,
+        deal_ids: [],
+      });
+    }
+
+    const profile = profiles.get(key);
+    profile.company = entry.company;
+    profile.website = entry.website || profile.website;
+    profile.deals++;
+    profile.last_seen = entry.funding_news_date;
+    profile.deal_ids.push(entry.deal_id);
+    sectorsOf(entry).forEach(sector => profile.sectors.add(sector));
+    profile.status = companyStatus(entry) || profile.status;
+
+    if (isRound(entry)) {
+      profile.rounds++;
+      if (entry.amount_usd) profile.total_raised_usd += entry.amount_usd;
+      else profile.undisclosed_rounds++;
+      profile.last_round = entry.funding_round || 'Unknown';
+      profile.last_round_date = entry.funding_news_date;
+      profile.last_round_amount = entry.amount || 'Undisclosed';
+      investorsOf(entry).forEach(name => profile.investors.add(name));
+    }
+  }
+
+  return [...profiles.values()]
+    .map(profile => ({
+      ...profile,
+      total_raised: formatUsd(profile.total_raised_usd),
+      investors: [...profile.investors],
+      sectors: [...profile.sectors],
+    }))
+    .sort((a, b) => a.company.localeCompare(b.company));
+}
+
+// One profile per investor (aliases merged, including on deals stored before
+// an alias was configured), sorted by number of deals
+function buildInvestorProfiles(entries) {
+  const profiles = new Map();
+
+  for (const entry of [...entries].sort(byDate)) {
+    if (!isRound(entry)) continue;
+    const investors = investorsOf(entry);
+
+    for (const investor of investors) {
+      const key = normalizeInvestorName(investor);
+      if (!profiles.has(key)) {
+        profiles.set(key, {
+          investor,
+          deals: 0,
+          companies: new Set(),
+          sectors: new Map(),
+          rounds: new Map(),
+          co_investors: new Map(),
+          round_volume_usd: 0,
+          first_deal_date: entry.funding_news_date,
+          last_deal_date: '',
+          last_company: '',
+          deal_ids: [],
+        });
+      }
+
+      const profile = profiles.get(key);
+      profile.deals++;
+      profile.companies.add(entry.company);
+      profile.round_volume_usd += entry.amount_usd || 0;
+      profile.last_deal_date = entry.funding_news_date;
+      profile.last_company = entry.company;
+      profile.deal_ids.push(entry.deal_id);
+      increment(profile.rounds, entry.funding_round || 'Unknown');
+      sectorsOf(entry).forEach(sector => increment(profile.sectors, sector));
+      investors.filter(name => name !== investor).forEach(name => increment(profile.co_investors, name));
+    }
+  }
+
+  return [...profiles.values()]
+    .map(profile => ({
+      ...profile,
+      companies: [...profile.companies],
+      sectors: ranked(profile.sectors),
+      rounds: ranked(profile.rounds),
+      co_investors: ranked(profile.co_investors, MAX_CO_INVESTORS),
+      round_volume: formatUsd(profile.round_volume_usd),
+    }))
+    .sort((a, b) => b.deals - a.deals || a.investor.localeCompare(b.investor));
+}
+
+function buildProfiles(entries) {
+  return {
+    companies: buildCompanyProfiles(entries),
+    investors: buildInvestorProfiles(entries),
+  };
+}
+
+const list = values => values.join(', ');
+
+// Sheet/CSV layouts, in column order
+const COMPANY_COLUMNS = [
+  { header: 'Company', value: profile => profile.company },
+  { header: 'Website', value: profile => profile.website },
+  { header: 'Status', value: profile => profile.status },
+  { header: 'Total Raised (USD)', value: profile => profile.total_raised },
+  { header: 'Rounds', value: profile => profile.rounds },
+  { header: 'Undisclosed Rounds', value: profile => profile.undisclosed_rounds },
+  { header: 'Last Round', value: profile => profile.last_round },
+  { header: 'Last Round Date', value: profile => profile.last_round_date },
+  { header: 'Last Round Amount', value: profile => profile.last_round_amount },
+  { header: 'Investors', value: profile => list(profile.investors) },
+  { header: 'Sectors', value: profile => list(profile.sectors) },
+  { header: 'First Seen', value: profile => profile.first_seen },
+  { header: 'Last Seen', value: profile => profile.last_seen },
+  { header: 'Deal IDs', value: profile => list(profile.deal_ids) },
+];
+
+const INVESTOR_COLUMNS = [
+  { header: 'Investor', value: profile => profile.investor },
+  { header: 'Deals', value: profile => profile.deals },
+  { header: 'Companies', value: profile => list(profile.companies) },
+  { header: 'Rounds', value: profile => list(profile.rounds) },
+  { header: 'Sectors', value: profile => list(profile.sectors) },
+  { header: 'Co-Investors', value: profile => list(profile.co_investors) },
+  { header: 'Round Volume (USD)', value: profile => profile.round_volume },
+  { header: 'First Deal', value: profile => profile.first_deal_date },
+  { header: 'Last Deal', value: profile => profile.last_deal_date },
+  { header: 'Last Company', value: profile => profile.last_company },
+];
+
+module.exports = {
+  buildProfiles,
+  buildCompanyProfiles,
+  buildInvestorProfiles,
+  formatUsd,
+  sectorsOf,
+  isRound,
+  COMPANY_COLUMNS,
+  INVESTOR_COLUMNS,
+};
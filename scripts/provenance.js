@@ -0,0 +1,165 @@
+// Field-level provenance for merged deals
+//
+// Every tracked field remembers what each source reported, which value won
+// and why. When sources disagree the field is marked as a conflict so
+// analysts can review the deal instead of silently trusting one source.
+
+const { websiteDomain, normalizeCompanyName } = require('./entity-resolution');
+const { today } = require('./dates');
+
+const TRACKED_FIELDS = [
+  'company',
+  'website',
+  'funding_round',
+  'funding_news_date',
+  'amount',
+  'investor_name',
+  'industry',
+  'description',
+  'acquirer',
+  'listing_exchange',
+];
+
+// Fields that travel with the amount winner
+const AMOUNT_FIELDS = ['amount_value', 'amount_currency', 'amount_usd', 'amount_inr'];
+
+// Fields whose differences are expected and never count as conflicts
+const FREE_TEXT_FIELDS = ['description', 'industry'];
+
+function isEmpty(field, value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (field === 'amount') return value === 'Undisclosed';
+  if (field === 'funding_round') return value === 'Unknown';
+  return false;
+}
+
+function splitNames(value) {
+  return String(value || '').split(/\s*,\s*/).filter(Boolean);
+}
+
+// Values that are "the same" for conflict purposes
+function sameValue(field, a, b) {
+  if (field === 'amount') {
+    if (a.extra && b.extra && a.extra.amount_usd && b.extra.amount_usd) {
+      const ratio = Math.min(a.extra.amount_usd, b.extra.amount_usd) / Math.max(a.extra.amount_usd, b.extra.amount_usd);
+      return ratio >= 0.95;
+    }
+    return String(a.value).toLowerCase() === String(b.value).toLowerCase();
+  }
+  if (field === 'company') return normalizeCompanyName(a.value) === normalizeCompanyName(b.value);
+  if (field === 'website') return websiteDomain(a.value) === websiteDomain(b.value);
+  // Outlets routinely report the same announcement a day apart
+  if (field === 'funding_news_date') return Math.abs(new Date(a.value) - new Date(b.value)) <= 2 * 86400000;
+  return String(a.value).trim().toLowerCase() === String(b.value).trim().toLowerCase();
+}
+
+// Per-source value record for one field of an entry
+function observation(entry, field, priority) {
+  const value = {
+    source: entry.source,
+    host: websiteDomain(entry.source),
+    value: entry[field],
+    priority,
+    seen_at: entry.last_updated || today(),
+  };
+  if (field === 'amount') {
+    value.extra = {};
+    for (const key of AMOUNT_FIELDS) value.extra[key] = entry[key] ?? null;
+  }
+  return value;
+}
+
+// Pick the winning value for a field among all observations
+function resolveField(field, values) {
+  const candidates = values.filter(item => !isEmpty(field, item.value));
+
+  if (field === 'investor_name') {
+    const names = [];
+    for (const item of candidates) {
+      for (const name of splitNames(item.value)) {
+        if (!names.some(known => known.toLowerCase() === name.toLowerCase())) names.push(name);
+      }
+    }
+    return {
+      value: names.join(', '),
+      winner: candidates.map(item => item.host).join(', '),
+      reason: candidates.length > 1 ? 'union of all sources' : candidates.length ? 'only source with a value' : 'no source has a value',
+      conflict: false,
+    };
+  }
+
+  if (candidates.length === 0) {
+    const fallback = values[0] || {};
+    return { value: fallback.value, winner: fallback.host || '', reason: 'no source has a value', conflict: false, extra: fallback.extra };
+  }
+
+  // Lowest priority number wins; earlier reports break ties
+  const sorted = [...candidates].sort((a, b) => a.priority - b.priority || String(a.seen_at).localeCompare(String(b.seen_at)));
+  const best = sorted[0];
+
+  let reason;
+  if (candidates.length === 1) reason = values.length > 1 ? 'only source with a value' : 'single source';
+  else if (sorted[1].priority > best.priority) reason = `highest-priority source (priority ${best.priority})`;
+  else reason = 'earliest report among equal-priority sources';
+
+  const conflict = !FREE_TEXT_FIELDS.includes(field) &&
+    candidates.some(item => !sameValue(field, item, best));
+
+  return { value: best.value, winner: best.host, reason, conflict, extra: best.extra };
+}
+
+// Fresh provenance for an entry reported by a single source
+function initProvenance(entry, priority) {
+  if (entry.provenance) return entry;
+
+  const provenance = {};
+  for (const field of TRACKED_FIELDS) {
+    const values = [observation(entry, field, priority)];
+    const { extra, ...resolved } = resolveField(field, values);
+    provenance[field] = { values, ...resolved };
+  }
+  return { ...entry, provenance, conflicts: [] };
+}
+
+// Merge an incoming report into an existing deal field by field
+function mergeWithProvenance(existing, incoming, priorityOf) {
+  const base = initProvenance(existing, priorityOf(existing.source));
+  const merged = { ...base, provenance: {} };
+  const conflicts = [];
+
+  for (const field of TRACKED_FIELDS) {
+    // A source re-reporting replaces its own earlier value
+    const values = (base.provenance[field] ? base.provenance[field].values : [])
+      .filter(item => item.source !== incoming.source)
+      .concat(observation(incoming, field, priorityOf(incoming.source)));
+
+    const { extra, ...resolved } = resolveField(field, values);
+    merged.provenance[field] = { values, ...resolved };
+    merged[field] = resolved.value;
+
+    if (field === 'amount' && extra) Object.assign(merged, extra);
+    if (resolved.conflict) conflicts.push(field);
+  }
+
+  merged.investors = splitNames(merged.investor_name);
+  merged.conflicts = conflicts;
+  return merged;
+}
+
+// One-line summary for the sheet's Conflicts column
+function describeConflicts(entry) {
+  return (entry.conflicts || []).map(field => {
+    const info = entry.provenance[field];
+    const values = info.values
+      .filter(item => !isEmpty(field, item.value))
+      .map(item => `${item.value} (${item.host})`);
+    return `${field}: ${values.join(' vs ')}`;
+  }).join('; ');
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  initProvenance,
+  mergeWithProvenance,
+  describeConflicts,
+};
@@ -0,0 +1,275 @@
+// LLM provider layer
+//
+// Each provider implements { name, isConfigured(settings), call(prompt, settings), parse(response) }:
+// `call` talks to the backend and returns its raw response, `parse` turns
+// that into the model's text. Order and per-provider settings come from
+// config/providers.json (or PROVIDERS_CONFIG), with env overrides for keys,
+// the local endpoint and AI_PROVIDERS (comma-separated order).
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'providers.json');
+const DEFAULT_TIMEOUT = 30000;
+
+const registry = new Map();
+
+function registerProvider(provider) {
+  for (const key of ['name', 'call', 'parse']) {
+    if (!provider || !provider[key]) throw new Error(`Provider is missing "${key}"`);
+  }
+  registry.set(provider.name, provider);
+  return provider;
+}
+
+function getProvider(name) {
+  return registry.get(name) || null;
+}
+
+function listProviders() {
+  return Array.from(registry.keys());
+}
+
+// Reject if the promise takes longer than `ms` (for SDKs without a timeout option)
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Shared by every OpenAI-compatible chat completions backend
+async function callChatCompletions(url, prompt, settings, headers) {
+  const body = {
+    model: settings.model,
+    messages: [{ role: 'user', content: prompt }],
+  };
+  if (settings.temperature !== undefined) body.temperature = settings.temperature;
+  if (settings.maxTokens !== undefined) body.max_tokens = settings.maxTokens;
+
+  const response = await axios.post(url, body, {
+    headers: { 'Content-Type': 'application/json', ...headers },
+    timeout: settings.timeout || DEFAULT_TIMEOUT,
+  });
+  return response.data;
+}
+
+function parseChatCompletion(data) {
+  const text = data?.choices?.[0]?.message?.content;
+  if (typeof text !== 'string') throw new Error('Response has no choices[0].message.content');
+  return text;
+}
+
+registerProvider({
+  name: 'bytez',
+  label: 'Bytez API',
+  isConfigured: settings => Boolean(settings.apiKey),
+  call: (prompt, settings) => callChatCompletions(
+    'https://api.bytez.com/models/v2/openai/v1/chat/completions',
+    prompt,
+    settings,
+    { 'Authorization': settings.apiKey } // No "Bearer" prefix
+  ),
+  parse: parseChatCompletion,
+});
+
+registerProvider({
+  name: 'openrouter',
+  label: 'OpenRouter API',
+  isConfigured: settings => Boolean(settings.apiKey),
+  call: (prompt, settings) => callChatCompletions(
+    'https://openrouter.ai/api/v1/chat/completions',
+    prompt,
+    settings,
+    {
+      'Authorization': `Bearer ${settings.apiKey}`,
+      'HTTP-Referer': 'https://github.com/fundtracker',
+      'X-Title': 'Funding Tracker',
+    }
+  ),
+  parse: parseChatCompletion,
+});
+
+const geminiModels = new Map();
+
+registerProvider({
+  name: 'gemini',
+  label: 'Gemini API',
+  isConfigured: settings => Boolean(settings.apiKey),
+  call: async (prompt, settings) => {
+    const cacheKey = `${settings.apiKey}:${settings.model}`;
+    if (!geminiModels.has(cacheKey)) {
+      const genAI = new GoogleGenerativeAI(settings.apiKey);
+      geminiModels.set(cacheKey, genAI.getGenerativeModel({ model: settings.model }));
+    }
+    const result = await withTimeout(
+      geminiModels.get(cacheKey).generateContent(prompt),
+      settings.timeout || DEFAULT_TIMEOUT,
+      'Gemini'
+    );
+    return result.response;
+  },
+  parse: response => response.text(),
+});
+
+// Any OpenAI-compatible server, e.g. llama.cpp (`llama-server`) or Ollama
+registerProvider({
+  name: 'local',
+  label: 'Local LLM endpoint',
+  isConfigured: settings => Boolean(settings.baseUrl && settings.model),
+  call: (prompt, settings) => callChatCompletions(
+    `${settings.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    prompt,
+    settings,
+    settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {}
+  ),
+  parse: parseChatCompletion,
+});
+
+// Pull the article fields back out of the extraction prompt
+function promptField(prompt, field) {
+  const match = prompt.match(new RegExp(`^${field}: (.*)$`, 'm'));
+  return match ? match[1].trim() : '';
+}
+
+// Deterministic offline backend: replays recorded responses keyed by title,
+// otherwise answers from simple patterns in the article title.
+registerProvider({
+  name: 'mock',
+  label: 'Mock LLM',
+  isConfigured: () => true,
+  call: async (prompt, settings) => {
+    const title = promptField(prompt, 'Title');
+
+    if (settings.responsesFile) {
+      const responses = JSON.parse(fs.readFileSync(settings.responsesFile, 'utf8'));
+      if (responses[title] !== undefined) return responses[title];
+    }
+
+    const acquisition = title.match(/^(.+?)\s+(?:acquires|buys)\s+(.+?)(?:\s+for\s+(.+))?$/i);
+    if (acquisition) {
+      return JSON.stringify({
+        event_type: 'acquisition',
+        company_name: acquisition[2].trim(),
+        acquirer: acquisition[1].trim(),
+        funding_amount: acquisition[3] ? acquisition[3].trim() : 'Undisclosed',
+        industry: '',
+        description: '',
+        funding_date: '',
+      });
+    }
+
+    const match = title.match(/^(.+?)\s+(?:raises|secures|bags|gets|lands|closes)\s+(.+?)(?:\s+in\s+(.+?)\s+round)?(?:\s+(?:led by|from)\s+(.+))?$/i);
+    if (!match) return '{}';
+
+    return JSON.stringify({
+      event_type: 'equity',
+      company_name: match[1].trim(),
+      website: '',
+      funding_round: match[3] ? match[3].trim() : 'Unknown',
+      funding_amount: match[2].trim(),
+      investor_names: match[4] ? match[4].trim() : '',
+      industry: '',
+      description: '',
+      funding_date: '',
+    });
+  },
+  parse: response => String(response),
+});
+
+// Env overrides applied on top of the file config
+function envSettings(env) {
+  return {
+    bytez: { apiKey: env.BYTEZ_API_KEY },
+    openrouter: { apiKey: env.OPENROUTER_API_KEY },
+    gemini: { apiKey: env.GEMINI_API_KEY },
+    local: { baseUrl: env.LOCAL_LLM_URL, model: env.LOCAL_LLM_MODEL, apiKey: env.LOCAL_LLM_API_KEY },
+    mock: { responsesFile: env.MOCK_LLM_RESPONSES },
+  };
+}
+
+function validateProvidersConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object with "order" and "providers"'];
+  }
+
+  if (!Array.isArray(config.order) || !config.order.every(name => typeof name === 'string')) {
+    errors.push('"order" must be an array of provider names');
+  } else {
+    for (const name of config.order) {
+      if (!registry.has(name)) errors.push(`order lists unknown provider "${name}"`);
+    }
+  }
+
+  for (const [name, settings] of Object.entries(config.providers || {})) {
+    if (!registry.has(name)) errors.push(`providers.${name} is not a known provider`);
+    if (!settings || typeof settings !== 'object') {
+      errors.push(`providers.${name} must be an object`);
+      continue;
+    }
+    if (settings.timeout !== undefined && !(Number.isInteger(settings.timeout) && settings.timeout > 0)) {
+      errors.push(`providers.${name}.timeout must be a positive integer (ms)`);
+    }
+    if (settings.model !== undefined && typeof settings.model !== 'string') {
+      errors.push(`providers.${name}.model must be a string`);
+    }
+    for (const key of ['requestsPerMinute', 'burst', 'dailyQuota']) {
+      if (settings[key] !== undefined && !(Number.isInteger(settings[key]) && settings[key] > 0)) {
+        errors.push(`providers.${name}.${key} must be a positive integer`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function loadProvidersConfig(configPath = process.env.PROVIDERS_CONFIG || DEFAULT_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read providers config ${configPath}: ${error.message}`);
+  }
+
+  const errors = validateProvidersConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${configPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+// Resolve the ordered list of { provider, settings } that can actually run
+function resolveProviders(config = loadProvidersConfig(), env = process.env) {
+  const order = env.AI_PROVIDERS
+    ? env.AI_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : config.order;
+  const overrides = envSettings(env);
+
+  const resolved = [];
+  for (const name of order) {
+    const provider = getProvider(name);
+    if (!provider) throw new Error(`Unknown AI provider "${name}" (available: ${listProviders().join(', ')})`);
+
+    const settings = { ...(config.providers || {})[name] };
+    for (const [key, value] of Object.entries(overrides[name] || {})) {
+      if (value) settings[key] = value;
+    }
+    if (settings.enabled === false || !provider.isConfigured(settings)) continue;
+
+    resolved.push({ provider, settings });
+  }
+  return resolved;
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  loadProvidersConfig,
+  validateProvidersConfig,
+  resolveProviders,
+};
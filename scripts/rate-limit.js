@@ -0,0 +1,105 @@
+// Per-provider rate limits
+//
+// Every AI provider gets a token bucket (`requestsPerMinute`, `burst` in
+// config/providers.json) so concurrent workers stay under the backend's rate
+// limit, plus an optional `dailyQuota`. Quota usage is counted per UTC day in
+// the deal store, so it holds across runs on the same day.
+//
+// The quota day is deliberately UTC, not the tracker's calendar day from
+// scripts/dates.js (IST by default): daily quotas are reset by the provider on
+// its own clock, usually midnight UTC. An IST day would reset the count 5.5
+// hours before the provider does.
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// YYYY-MM-DD, UTC
+function quotaDay() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// Allows `burst` requests at once, refilling at `perMinute`; callers are
+// served in the order they asked
+function createTokenBucket(perMinute, burst = 1) {
+  let tokens = burst;
+  let last = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) * perMinute) / 60000);
+    last = now;
+  };
+
+  return {
+    take() {
+      queue = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(Math.ceil(((1 - tokens) * 60000) / perMinute));
+          refill();
+        }
+        tokens -= 1;
+      });
+      return queue;
+    },
+  };
+}
+
+// `providers` is the resolved [{ provider, settings }] list; `usageStore`
+// (optional) persists quota usage via getProviderUsage/recordProviderUsage.
+function createRateLimiter(providers, usageStore = null) {
+  const buckets = new Map();
+  const quotas = new Map();
+  const used = new Map();
+  let usageDay = quotaDay();
+
+  for (const { provider, settings } of providers) {
+    if (settings.requestsPerMinute) {
+      buckets.set(provider.name, createTokenBucket(settings.requestsPerMinute, settings.burst || 1));
+    }
+    if (settings.dailyQuota) quotas.set(provider.name, settings.dailyQuota);
+  }
+
+  const loadUsage = () => {
+    used.clear();
+    if (!usageStore) return;
+    for (const [name, count] of Object.entries(usageStore.getProviderUsage(usageDay))) used.set(name, count);
+  };
+  loadUsage();
+
+  const rollOver = () => {
+    if (quotaDay() !== usageDay) {
+      usageDay = quotaDay();
+      loadUsage();
+    }
+  };
+
+  return {
+    // Requests left today, or Infinity without a quota
+    remaining(name) {
+      rollOver();
+      if (!quotas.has(name)) return Infinity;
+      return Math.max(0, quotas.get(name) - (used.get(name) || 0));
+    },
+
+    // Wait for a request slot; resolves false once the daily quota is spent
+    async acquire(name) {
+      if (this.remaining(name) <= 0) return false;
+
+      // Reserve quota before waiting so concurrent workers can't overshoot it
+      used.set(name, (used.get(name) || 0) + 1);
+      if (usageStore) usageStore.recordProviderUsage(name, usageDay);
+
+      if (buckets.has(name)) await buckets.get(name).take();
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  createTokenBucket,
+  createRateLimiter,
+  sleep,
+};
@@ -0,0 +1,72 @@
+// List or retry articles from the processed-articles cache
+//
+// Usage: node scripts/retry-articles.js [--list] [--all] [--status <status>] [--since YYYY-MM-DD] [--url <link>]
+//
+// By default every failed article (no_data, quarantined, error) is forgotten
+// and put back on the work queue, so the next scraper run extracts it again.
+// --all includes successfully extracted articles too; --list only prints.
+
+const { openStore } = require('./store');
+
+function parseArgs(argv) {
+  const options = { list: false, all: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--list') options.list = true;
+    else if (arg === '--all') options.all = true;
+    else if (['--status', '--since', '--url'].includes(arg)) options[arg.slice(2)] = argv[++i];
+    else throw new Error(`Unknown argument "${arg}"`);
+  }
+  if (options.since && !/^\d{4}-\d{2}-\d{2}$/.test(options.since)) {
+    throw new Error(`--since must be a date (YYYY-MM-DD), got "${options.since}"`);
+  }
+  return options;
+}
+
+async function retryArticles(options) {
+  const store = await openStore();
+  try {
+    const rows = store.listProcessed({
+      status: options.status,
+      failed: !options.all && !options.status && !options.url,
+      since: options.since,
+      url: options.url,
+    });
+
+    for (const row of rows) {
+      const detail = row.reason || row.deal_id;
+      console.log(`${row.processed_at.split('T')[0]}  ${row.status.padEnd(11)}  ${row.title.substring(0, 60)}${detail ? `  (${detail})` : ''}`);
+    }
+
+    if (options.list) {
+      console.log(`\n${rows.length} articles`);
+      return;
+    }
+
+    const queued = store.retryProcessed(rows);
+    store.save();
+    console.log(`\n🔁 ${rows.length} articles forgotten, ${queued} queued for the next run`);
+  } finally {
+    store.close();
+  }
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Usage: node scripts/retry-articles.js [--list] [--all] [--status <status>] [--since YYYY-MM-DD] [--url <link>]');
+    process.exit(1);
+  }
+
+  retryArticles(options).catch(error => {
+    console.error('❌ Retry failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  retryArticles,
+};
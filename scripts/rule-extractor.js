@@ -0,0 +1,332 @@
+// Rule-based funding extraction
+//
+// Pulls company, round, amount and investors (or, for acquisitions, IPOs and
+// shutdowns, the parties involved) out of an article's title and description
+// with patterns tuned for Indian/US startup news headlines.
+// Used when every AI provider fails, and to cross-check AI results against
+// what the article actually says.
+
+const { today } = require('./dates');
+
+const ROUND_PATTERNS = [
+  ['Pre-Seed', /\bpre[-\s]?seed\b/i],
+  ['Pre-Series A', /\bpre[-\s]?series[-\s]?a\b/i],
+  ['Pre-Series B', /\bpre[-\s]?series[-\s]?b\b/i],
+  ['Pre-IPO', /\bpre[-\s]?ipo\b/i],
+  ['Series A', /\bseries[-\s]?a\d?\b/i],
+  ['Series B', /\bseries[-\s]?b\d?\b/i],
+  ['Series C', /\bseries[-\s]?c\d?\b/i],
+  ['Series D', /\bseries[-\s]?d\d?\b/i],
+  ['Series E', /\bseries[-\s]?e\d?\b/i],
+  ['Series F', /\bseries[-\s]?f\d?\b/i],
+  ['Series G', /\bseries[-\s]?g\d?\b/i],
+  ['Series H', /\bseries[-\s]?h\d?\b/i],
+  ['Seed', /\bseed\b/i],
+  ['Angel', /\bangel\s+(?:round|funding|investment)\b/i],
+  ['Bridge', /\bbridge\s+(?:round|funding)\b/i],
+  ['Debt', /\b(?:venture\s+)?debt\b/i],
+  ['Growth', /\bgrowth\s+(?:round|funding|capital)\b/i],
+];
+
+const UNIT_MULTIPLIERS = {
+  crore: 1e7, cr: 1e7, crores: 1e7,
+  lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5,
+  thousand: 1e3, k: 1e3,
+  million: 1e6, mn: 1e6, m: 1e6, mln: 1e6,
+  billion: 1e9, bn: 1e9, b: 1e9,
+};
+
+const CURRENCY_SYMBOLS = {
+  '₹': 'INR', 'rs': 'INR', 'rs.': 'INR', 'inr': 'INR', 'rupees': 'INR',
+  '$': 'USD', 'us$': 'USD', 'usd': 'USD', 'dollars': 'USD',
+  '€': 'EUR', 'eur': 'EUR', 'euros': 'EUR',
+  '£': 'GBP', 'gbp': 'GBP', 'pounds': 'GBP',
+  's$': 'SGD', 'sgd': 'SGD',
+  'aed': 'AED', 'dhs': 'AED', 'dirhams': 'AED',
+  '¥': 'JPY', 'jpy': 'JPY', 'yen': 'JPY',
+};
+
+const AMOUNT_REGEX = new RegExp(
+  // S$ and US$ before the bare $, so they aren't read as US dollars
+  '(₹|rs\\.?|inr|s\\$|us\\$|\\$|usd|€|eur|£|gbp|\\bsgd|\\baed|\\bdhs|¥|\\bjpy)?\\s?' +
+  '(\\d+(?:,\\d{2,3})*(?:\\.\\d+)?)\\s?' +
+  '(crores?|cr|lakhs?|lacs?|thousand|million|mln|mn|billion|bn|k|m|b)?\\b\\.?' +
+  '(?:\\s?(rupees|dollars|euros|pounds|inr|usd|eur|gbp|sgd|aed|dirhams|jpy|yen)\\b)?',
+  'gi'
+);
+
+const FUNDING_VERBS = 'raises|raised|secures|secured|bags|bagged|gets|lands|closes|nets|garners|receives|mops up|picks up|scoops|snags|attracts';
+
+// Leading descriptors to drop from headline subjects ("Bengaluru-based fintech startup X")
+const SUBJECT_PREFIX = /^(?:exclusive|breaking|funding|update)\s*[:|-]\s*|^(?:(?:[a-z]+-based|[a-z0-9]+tech|d2c|saas|ai|ev|b2b|b2c|fintech|edtech|healthtech|agritech|logistics|gaming|consumer|deeptech|climate(?:tech)?|e-?commerce|mobility|insurtech|proptech|spacetech)\s+)*(?:startup|platform|company|firm|brand|maker|unicorn|marketplace|app|player|provider)\s+/i;
+
+const ACQUISITION_PATTERN = /^(.+?)\s+(?:acquires|to acquire|has acquired|buys|to buy|bought|completes acquisition of|takes over|acqui-hires(?:\s+team behind)?|picks up majority stake in|buys majority stake in)\s+(.+?)(?:\s+(?:for|in|at|to|from|amid|as)\b|[,:;]|$)/i;
+const IPO_VERBS = "files|gets|receives|sets|launches|plans|to launch|to list|lists|debuts|goes public|shares|ipo|'s ipo";
+const SHUTDOWN_VERBS = 'shuts down|to shut down|shuts shop|shuts|winds up|winds down|ceases operations|calls it quits|pulls the plug|files for insolvency|files for bankruptcy|goes bust';
+const EXCHANGE_PATTERN = /\b(NSE|BSE|Nasdaq|NYSE|LSE|SGX|HKEX)\b(?:\s+(?:and|&)\s+(NSE|BSE))?/i;
+
+// Classifier labels with their own extraction path
+const EVENT_TYPES = { acquisition: 'acquisition', ipo: 'ipo', shutdown: 'shutdown' };
+
+const INDUSTRY_KEYWORDS = [
+  ['Fintech', /\b(fintech|payments?|lending|neobank|insurtech|wealthtech|credit)\b/i],
+  ['Edtech', /\b(edtech|education|learning|upskilling)\b/i],
+  ['Healthtech', /\b(healthtech|health|healthcare|medtech|diagnostics|pharma)\b/i],
+  ['E-commerce', /\b(e-?commerce|d2c|marketplace|retail|quick commerce)\b/i],
+  ['SaaS', /\b(saas|software|b2b platform)\b/i],
+  ['AI', /\b(ai|artificial intelligence|genai|machine learning)\b/i],
+  ['Mobility', /\b(ev|electric vehicle|mobility|automotive)\b/i],
+  ['Logistics', /\b(logistics|supply chain|delivery)\b/i],
+  ['Agritech', /\b(agritech|agri|farm|farmers)\b/i],
+  ['Climate', /\b(climate|cleantech|solar|renewable)\b/i],
+  ['Gaming', /\b(gaming|games|esports)\b/i],
+];
+
+function articleText(article) {
+  return [article.title, article.description, article.fullText].filter(Boolean).join('. ');
+}
+
+// Detect the funding round; the title wins over the description, which wins
+// over the full article text
+function findRound(article) {
+  for (const text of [article.title || '', article.description || '', article.fullText || '']) {
+    let best = null;
+    for (const [round, pattern] of ROUND_PATTERNS) {
+      const match = text.match(pattern);
+      if (match && (!best || match.index < best.index)) best = { round, index: match.index };
+    }
+    if (best) return best.round;
+  }
+  return null;
+}
+
+// Parse the first money amount in `text` into { text, value, currency }
+function findAmount(text) {
+  if (!text) return null;
+  AMOUNT_REGEX.lastIndex = 0;
+
+  let match;
+  while ((match = AMOUNT_REGEX.exec(text)) !== null) {
+    const [raw, symbol, number, unit, word] = match;
+    const unitKey = unit ? unit.toLowerCase() : '';
+    const currency = CURRENCY_SYMBOLS[(symbol || word || '').toLowerCase()] ||
+      (['crore', 'crores', 'cr', 'lakh', 'lakhs', 'lac', 'lacs'].includes(unitKey) ? 'INR' : null);
+
+    // A bare number ("5 years", "2024") is not an amount
+    if (!currency) continue;
+    // Single-letter units need a currency symbol to avoid matching e.g. "5 m away"
+    if (['m', 'b', 'k'].includes(unitKey) && !symbol) continue;
+
+    const value = parseFloat(number.replace(/,/g, '')) * (UNIT_MULTIPLIERS[unitKey] || 1);
+    if (!Number.isFinite(value) || value <= 0) continue;
+
+    return { text: raw.trim(), value, currency };
+  }
+  return null;
+}
+
+function cleanName(name) {
+  return name
+    .replace(/\s*\([^)]*\)\s*/g, ' ')
+    .replace(/^[\s'"‘“]+|[\s'"’”,.:;]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Company name from a headline subject, with descriptors dropped
+function subjectName(subject) {
+  // Drop descriptors repeatedly ("Bengaluru-based fintech startup Acme")
+  let previous;
+  do {
+    previous = subject;
+    subject = subject.replace(SUBJECT_PREFIX, '');
+  } while (subject !== previous);
+
+  // Headlines like "Acme, a fintech startup, raises"
+  subject = subject.split(/,\s+(?:a|an|the)\s+/i)[0];
+  const name = cleanName(subject.replace(/['’]s$/, ''));
+  return name.length >= 2 && name.split(' ').length <= 5 ? name : null;
+}
+
+// Company name from the headline subject ("X raises ...", "X bags ...")
+function findCompany(article, verbs = FUNDING_VERBS) {
+  const title = article.title || '';
+  const patterns = [new RegExp(`^(.+?)\\s+(?:${verbs})\\b`, 'i')];
+  if (verbs === FUNDING_VERBS) {
+    patterns.push(
+      /(?:invest|investment|funding)s?\s+(?:of\s+.+?\s+)?in\s+([A-Z][\w.&'-]*(?:\s+[A-Z][\w.&'-]*){0,3})/,
+      /^(.+?)\s+funding\s*:/i
+    );
+  }
+
+  for (const pattern of patterns) {
+    const match = title.match(pattern);
+    const name = match && subjectName(match[1]);
+    if (name) return name;
+  }
+  return null;
+}
+
+// Buyer and target from "X acquires Y ..." headlines
+function findAcquisition(article) {
+  const match = (article.title || '').match(ACQUISITION_PATTERN);
+  if (!match) return null;
+  const acquirer = subjectName(match[1].replace(/\s+parent$/i, ''));
+  const company = subjectName(match[2].replace(/^(?:a\s+)?(?:majority\s+|minority\s+)?(?:stake\s+in\s+)?/i, ''));
+  return acquirer && company ? { acquirer, company } : null;
+}
+
+function findExchange(text) {
+  const match = String(text || '').match(EXCHANGE_PATTERN);
+  if (!match) return '';
+  return match[2] ? `${match[1]} & ${match[2]}` : match[1];
+}
+
+// Split an investor clause into names ("A, B and C")
+function splitInvestors(clause) {
+  return clause
+    .split(/\s*(?:,|;|\band\b|&(?=\s))\s*/i)
+    .map(name => cleanName(name.replace(/^(?:existing\s+(?:investors?\s+)?|others?\s+(?:like|including)\s+|investors?\s+(?:like|such as|including)\s+)/i, '')))
+    .filter(name => name.length >= 2 && !/^(?:others|investors|existing investors|angel investors|a clutch of angels|several angels)$/i.test(name));
+}
+
+const INVESTOR_CLAUSES = [
+  /\b(?:co-)?led by\s+(.+?)(?=\s+(?:with|along|and\s+(?:saw|also|existing|others)|to\b|for\b|at\b|in\b)|[.;]|$)/gi,
+  /\bparticipation (?:from|of|by)\s+(.+?)(?=\s+(?:to\b|for\b|at\b|in\b)|[.;]|$)/gi,
+  /\b(?:backed|funded) by\s+(.+?)(?=\s+(?:to\b|for\b|at\b|in\b)|[.;]|$)/gi,
+  /\b([A-Z][\w&'-]*(?:\s+[A-Z][\w&'-]*){0,4})\s+(?:led|co-led) the (?:round|funding|investment)/g,
+  /\bfrom\s+(?:investors?\s+(?:like|such as|including)\s+)(.+?)(?=\s+(?:to\b|for\b|at\b|in\b)|[.;]|$)/gi,
+];
+
+function findInvestors(article) {
+  const text = articleText(article);
+  const investors = [];
+  for (const pattern of INVESTOR_CLAUSES) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      for (const name of splitInvestors(match[1])) {
+        if (!investors.some(existing => existing.toLowerCase() === name.toLowerCase())) investors.push(name);
+      }
+    }
+  }
+  return investors;
+}
+
+function findIndustry(article) {
+  const text = articleText(article);
+  const hit = INDUSTRY_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return hit ? hit[0] : '';
+}
+
+// Record fields shared by every event type
+function baseRecord(article, fields) {
+  return {
+    event_type: '',
+    website: '',
+    funding_round: 'Unknown',
+    funding_news_date: article.pubDate,
+    amount: 'Undisclosed',
+    investor_name: '',
+    acquirer: '',
+    listing_exchange: '',
+    industry: findIndustry(article),
+    description: (article.description || '').substring(0, 150),
+    source: article.link,
+    last_updated: today(),
+    extracted_by: 'rules',
+    ...fields,
+  };
+}
+
+// Extract a record in the same shape as parseAIResponse, or null if the text
+// doesn't identify the deal (for funding: a company plus an amount or round).
+// Acquisitions, IPOs and shutdowns are recognised from the classifier's label.
+function extractWithRules(article) {
+  const amount = findAmount(article.title) || findAmount(article.description) || findAmount(article.fullText);
+  const eventType = article.classification && EVENT_TYPES[article.classification.event_type];
+
+  if (eventType === 'acquisition') {
+    const deal = findAcquisition(article);
+    if (!deal) return null;
+    return baseRecord(article, { event_type: eventType, ...deal, funding_round: '', amount: amount ? amount.text : 'Undisclosed' });
+  }
+
+  if (eventType === 'ipo' || eventType === 'shutdown') {
+    const company = findCompany(article, eventType === 'ipo' ? IPO_VERBS : SHUTDOWN_VERBS);
+    if (!company) return null;
+    return baseRecord(article, {
+      event_type: eventType,
+      company,
+      funding_round: '',
+      amount: amount && eventType === 'ipo' ? amount.text : 'Undisclosed',
+      listing_exchange: eventType === 'ipo' ? findExchange(articleText(article)) : '',
+    });
+  }
+
+  const company = findCompany(article);
+  const round = findRound(article);
+  if (!company || (!amount && !round)) return null;
+
+  return baseRecord(article, {
+    company,
+    funding_round: round || 'Unknown',
+    amount: amount ? amount.text : 'Undisclosed',
+    investor_name: findInvestors(article).join(', '),
+  });
+}
+
+function normalizeForMatch(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Compare an AI-extracted entry with the article text; returns a list of
+// human-readable disagreements (empty when everything checks out).
+function crossCheck(entry, article) {
+  const flags = [];
+  const text = normalizeForMatch(articleText(article));
+
+  const company = normalizeForMatch(entry.company);
+  if (company && !text.includes(company)) {
+    const ruleCompany = findCompany(article);
+    flags.push(`company "${entry.company}" not found in article${ruleCompany ? ` (text suggests "${ruleCompany}")` : ''}`);
+  }
+
+  const aiAmount = findAmount(entry.amount);
+  const textAmount = findAmount(article.title) || findAmount(article.description) || findAmount(article.fullText);
+  if (aiAmount && textAmount) {
+    const sameCurrency = aiAmount.currency === textAmount.currency;
+    const ratio = aiAmount.value / textAmount.value;
+    if (sameCurrency && (ratio < 0.9 || ratio > 1.1)) {
+      flags.push(`amount "${entry.amount}" disagrees with article "${textAmount.text}"`);
+    }
+  } else if (!aiAmount && textAmount && /undisclosed/i.test(entry.amount || 'Undisclosed')) {
+    flags.push(`amount missing but article mentions "${textAmount.text}"`);
+  }
+
+  const textRound = findRound(article);
+  const aiRound = findRound({ title: entry.funding_round || '' });
+  if (textRound && aiRound && textRound !== aiRound) {
+    flags.push(`round "${entry.funding_round}" disagrees with article "${textRound}"`);
+  }
+
+  const missingInvestors = String(entry.investor_name || '')
+    .split(/\s*,\s*/)
+    .filter(Boolean)
+    .filter(name => !text.includes(normalizeForMatch(name)));
+  if (missingInvestors.length > 0 && (article.description || article.fullText)) {
+    flags.push(`investors not found in article: ${missingInvestors.join(', ')}`);
+  }
+
+  return flags;
+}
+
+module.exports = {
+  extractWithRules,
+  crossCheck,
+  findAmount,
+  findRound,
+  findCompany,
+  findAcquisition,
+  findInvestors,
+};
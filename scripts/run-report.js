@@ -0,0 +1,182 @@
+// Per-run reports
+//
+// Collects what one scraper run did: every feed fetched or failed, how many
+// articles each stage kept, each AI provider attempt with its latency and
+// error, entries added/merged/rejected and what every output sink wrote.
+// The finished report is saved to RUN_REPORTS_DIR (default data/runs) as
+// <run id>.json and appended to the run history in the deal store, where
+// `fundtrackr runs` reads it back.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REPORTS_DIR = path.join(__dirname, '..', 'data', 'runs');
+
+// Distinct error messages kept per provider
+const MAX_PROVIDER_ERRORS = 5;
+
+function reportsDir(env = process.env) {
+  return env.RUN_REPORTS_DIR || DEFAULT_REPORTS_DIR;
+}
+
+// "2024-08-30T03-30-12-345Z": sortable and safe as a file name
+function runId(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function createRunReport({ mode = 'scrape', dryRun = false, from = null, to = null } = {}) {
+  const startedAt = new Date();
+  const report = {
+    id: runId(startedAt),
+    mode,
+    dry_run: dryRun,
+    range: from || to ? { from, to } : null,
+    started_at: startedAt.toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    status: 'running',
+    problems: [],
+    stop_reason: null,
+    error: null,
+    feeds: [],
+    articles: {
+      fetched: 0,
+      out_of_range: 0,
+      already_processed: 0,
+      classified: {},
+      deal_articles: 0,
+      newly_queued: 0,
+      processed: 0,
+      still_queued: 0,
+    },
+    providers: {},
+    entries: {
+      added: 0,
+      merged: 0,
+      quarantined: 0,
+      rule_fallbacks: 0,
+      no_data: 0,
+      errors: 0,
+      dropped: 0,
+      total: 0,
+    },
+    sinks: [],
+  };
+
+  const providerStats = name => {
+    if (!report.providers[name]) {
+      report.providers[name] = { attempts: 0, succeeded: 0, failed: 0, quota_skipped: 0, total_ms: 0, max_ms: 0, avg_ms: null, errors: [] };
+    }
+    return report.providers[name];
+  };
+
+  return {
+    report,
+
+    // { name, url, ok, items, articles, format, ms, error }
+    feed(result) {
+      report.feeds.push({ ...result, error: result.error || null });
+    },
+
+    // One call to an AI provider; `error` when it threw or gave nothing usable
+    providerAttempt(name, { ms, error = null }) {
+      const stats = providerStats(name);
+      stats.attempts++;
+      stats.total_ms += ms;
+      stats.max_ms = Math.max(stats.max_ms, ms);
+      stats.avg_ms = Math.round(stats.total_ms / stats.attempts);
+      if (!error) {
+        stats.succeeded++;
+        return;
+      }
+      stats.failed++;
+      if (!stats.errors.includes(error) && stats.errors.length < MAX_PROVIDER_ERRORS) stats.errors.push(error);
+    },
+
+    // A provider skipped because its daily quota is spent
+    providerSkipped(name) {
+      providerStats(name).quota_skipped++;
+    },
+
+    // [{ name, ok, message, ms }] from writeToSinks
+    sinks(results) {
+      report.sinks.push(...results);
+    },
+
+    // Close the report; status is "failed" with an error, "warning" when a
+    // feed, provider or sink had problems, otherwise "ok"
+    finish({ error = null, stopReason = null } = {}) {
+      const finishedAt = new Date();
+      report.finished_at = finishedAt.toISOString();
+      report.duration_ms = finishedAt - startedAt;
+      report.stop_reason = stopReason;
+      report.error = error ? error.message : null;
+      report.problems = findProblems(report);
+      report.status = error ? 'failed' : report.problems.length > 0 ? 'warning' : 'ok';
+      return report;
+    },
+  };
+}
+
+// Human-readable list of what needs attention
+function findProblems(report) {
+  const problems = [];
+  for (const feed of report.feeds.filter(item => !item.ok)) {
+    problems.push(`feed ${feed.name} failed: ${feed.error}`);
+  }
+  for (const feed of report.feeds.filter(item => item.ok && item.items === 0)) {
+    problems.push(`feed ${feed.name} returned no items`);
+  }
+  for (const [name, stats] of Object.entries(report.providers)) {
+    if (stats.attempts > 0 && stats.succeeded === 0) {
+      problems.push(`provider ${name} failed all ${stats.attempts} attempts: ${stats.errors[0] || 'no usable response'}`);
+    }
+    if (stats.quota_skipped > 0) problems.push(`provider ${name} is out of daily quota (${stats.quota_skipped} skipped)`);
+  }
+  for (const sink of report.sinks.filter(item => !item.ok)) {
+    problems.push(`sink ${sink.name} failed: ${sink.message}`);
+  }
+  if (report.stop_reason) problems.push(`stopped early: ${report.stop_reason}`);
+  if (report.error) problems.push(`run failed: ${report.error}`);
+  return problems;
+}
+
+// Write <id>.json to the reports directory; returns its path
+function writeReportFile(report, dir = reportsDir()) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${report.id}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2) + '\n');
+  return filePath;
+}
+
+function seconds(ms) {
+  return ms === null ? '—' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// One block of text per run for `fundtrackr runs`
+function formatRunSummary(report) {
+  const feedsFailed = report.feeds.filter(feed => !feed.ok).length;
+  const { added, merged, quarantined } = report.entries;
+  const lines = [
+    `${report.id}  ${report.mode}${report.dry_run ? ' (dry run)' : ''}  ${report.status.toUpperCase()}  ${seconds(report.duration_ms)}`,
+    `   feeds: ${report.feeds.length - feedsFailed}/${report.feeds.length} ok, articles: ${report.articles.fetched} fetched, ` +
+      `${report.articles.deal_articles} deal articles, ${report.articles.processed} processed, ${report.articles.still_queued} still queued`,
+    `   entries: ${added} added, ${merged} merged, ${quarantined} quarantined`,
+  ];
+  const providers = Object.entries(report.providers)
+    .map(([name, stats]) => `${name} ${stats.succeeded}/${stats.attempts} ok${stats.avg_ms !== null ? ` avg ${stats.avg_ms}ms` : ''}` +
+      `${stats.quota_skipped ? `, ${stats.quota_skipped} over quota` : ''}`);
+  if (providers.length > 0) lines.push(`   providers: ${providers.join(', ')}`);
+  if (report.sinks.length > 0) {
+    lines.push(`   sinks: ${report.sinks.map(sink => `${sink.name} ${sink.ok ? 'ok' : 'FAILED'}`).join(', ')}`);
+  }
+  for (const problem of report.problems) lines.push(`   ⚠️  ${problem}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  createRunReport,
+  writeReportFile,
+  formatRunSummary,
+  reportsDir,
+};
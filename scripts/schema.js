@@ -0,0 +1,298 @@
+// Funding record schema
+//
+// Validates extracted records and normalizes free-text fields: event types
+// and rounds to a controlled vocabulary, amounts to value + ISO currency
+// (with USD/INR equivalents from config/exchange-rates.json), investors to an
+// array of canonical names (config/investor-aliases.json). Records that fail
+// are quarantined with their reasons instead of stored.
+//
+// Every record has an event_type. Equity and debt rounds carry a
+// funding_round; acquisitions carry the acquirer (amount = deal value), IPOs
+// the listing exchange (amount = issue size); shutdowns need neither.
+// funding_news_date is the day the deal was announced, article_date the day
+// the reporting article was published.
+
+const fs = require('fs');
+const path = require('path');
+const { findAmount, findRound } = require('./rule-extractor');
+const { resolveInvestor, isKnownInvestor } = require('./investor-aliases');
+const { toDay, checkAnnouncementDate } = require('./dates');
+
+const RATES_PATH = path.join(__dirname, '..', 'config', 'exchange-rates.json');
+
+const FUNDING_ROUNDS = [
+  'Pre-Seed', 'Seed', 'Angel', 'Pre-Series A', 'Series A', 'Pre-Series B', 'Series B',
+  'Series C', 'Series D', 'Series E', 'Series F', 'Series G', 'Series H',
+  'Bridge', 'Debt', 'Growth', 'Pre-IPO', 'Unknown',
+];
+
+const EVENT_TYPES = ['equity', 'debt', 'acquisition', 'ipo', 'shutdown'];
+
+// Events that are not a funding round have no funding_round
+const NON_ROUND_EVENTS = ['acquisition', 'ipo', 'shutdown'];
+
+const EVENT_SYNONYMS = [
+  ['debt', /\b(?:debt|loan|credit|ncds?|bonds?|lending)\b/i],
+  ['acquisition', /\b(?:acqui\w*|merg\w*|buyout|takeover|bought|buys?)\b/i],
+  ['ipo', /\b(?:ipo|listing|public (?:offering|issue)|goes public)\b/i],
+  ['shutdown', /\b(?:shut\w*|clos(?:e|ed|ing|ure)|wind(?:s|ing)? (?:up|down)|ceas\w*|insolven\w*|bankrupt\w*|liquidat\w*)\b/i],
+  ['equity', /\b(?:equity|funding|round|seed|series|venture|investment|raise\w*)\b/i],
+];
+
+// Classifier labels (scripts/classifier.js) to record event types
+const CLASSIFIER_EVENTS = { funding: 'equity', acquisition: 'acquisition', ipo: 'ipo', shutdown: 'shutdown' };
+
+const LISTING_EXCHANGES = [
+  ['NSE & BSE', /\bnse\b.*\bbse\b|\bbse\b.*\bnse\b/i],
+  ['NSE SME', /\bnse\s*(?:sme|emerge)\b/i],
+  ['BSE SME', /\bbse\s*sme\b/i],
+  ['NSE', /\bnse\b|national stock exchange/i],
+  ['BSE', /\bbse\b|bombay stock exchange/i],
+  ['NASDAQ', /\bnasdaq\b/i],
+  ['NYSE', /\bnyse\b|new york stock exchange/i],
+  ['LSE', /\blse\b|london stock exchange/i],
+  ['SGX', /\bsgx\b|singapore exchange/i],
+  ['HKEX', /\bhkex\b|hong kong (?:stock )?exchange/i],
+];
+
+const PLACEHOLDERS = /^(?:unknown|n\/?a|none|null|undisclosed|not disclosed|not mentioned|not specified|-+)?$/i;
+
+let cachedRates = null;
+
+// Exchange rates per 1 unit of the base currency (USD)
+function loadRates(ratesPath = process.env.EXCHANGE_RATES || RATES_PATH) {
+  if (!cachedRates || cachedRates.path !== ratesPath) {
+    const table = JSON.parse(fs.readFileSync(ratesPath, 'utf8'));
+    cachedRates = { path: ratesPath, ...table };
+  }
+  return cachedRates;
+}
+
+function convert(value, from, to, rates = loadRates()) {
+  const fromRate = rates.rates[from];
+  const toRate = rates.rates[to];
+  if (!fromRate || !toRate) return null;
+  return Math.round((value / fromRate) * toRate);
+}
+
+function isPlaceholder(value) {
+  return value === undefined || value === null || PLACEHOLDERS.test(String(value).trim());
+}
+
+// Map free-text rounds onto FUNDING_ROUNDS
+function normalizeRound(value) {
+  if (isPlaceholder(value)) return 'Unknown';
+  const exact = FUNDING_ROUNDS.find(round => round.toLowerCase() === String(value).trim().toLowerCase());
+  return exact || findRound({ title: String(value) }) || null;
+}
+
+// Map free-text event types onto EVENT_TYPES; '' when empty, null when unrecognized
+function normalizeEventType(value) {
+  if (isPlaceholder(value)) return '';
+  const text = String(value).trim().toLowerCase();
+  if (EVENT_TYPES.includes(text)) return text;
+  const hit = EVENT_SYNONYMS.find(([, pattern]) => pattern.test(text));
+  return hit ? hit[0] : null;
+}
+
+// Canonical exchange name, or the trimmed input when it isn't one we know
+function normalizeExchange(value) {
+  if (isPlaceholder(value)) return '';
+  const hit = LISTING_EXCHANGES.find(([, pattern]) => pattern.test(String(value)));
+  return hit ? hit[0] : String(value).trim();
+}
+
+// Parse "₹50 crore", "$2.5M", "USD 10 million" into { value, currency };
+// null for undisclosed, undefined when unparseable. Currency is '' when the
+// text gives a scale but no currency ("50 million").
+function parseAmount(value) {
+  if (isPlaceholder(value)) return null;
+  const amount = findAmount(String(value));
+  if (amount) return { value: amount.value, currency: amount.currency };
+
+  const bare = String(value).match(/(\d+(?:,\d{3})*(?:\.\d+)?)\s*(million|mn|billion|bn)\b/i);
+  if (!bare) return undefined;
+  const scale = /^b/i.test(bare[2]) ? 1e9 : 1e6;
+  return { value: parseFloat(bare[1].replace(/,/g, '')) * scale, currency: '' };
+}
+
+// "A and B" / "A & B" as separate names, unless the words around the "and"
+// make up a known investor ("Sequoia India and Southeast Asia"); the longest
+// known name wins
+function splitOnConjunctions(text) {
+  // [name, separator, name, separator, name, ...]
+  const parts = text.split(/(\s*(?:\band\b|&(?=\s))\s*)/i);
+  const names = [];
+  for (let start = 0; start < parts.length;) {
+    let end = parts.length - 1;
+    while (end > start && !isKnownInvestor(parts.slice(start, end + 1).join(''))) end -= 2;
+    names.push(parts.slice(start, end + 1).join(''));
+    start = end + 2;
+  }
+  return names;
+}
+
+// Investor names as a list, aliases resolved to their canonical name
+function splitInvestorNames(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/\s*[,;]\s*/).flatMap(splitOnConjunctions);
+  const seen = new Set();
+  return list
+    .map(name => String(name).trim())
+    .filter(name => name && !isPlaceholder(name))
+    .map(name => resolveInvestor(name))
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function normalizeWebsite(value) {
+  if (isPlaceholder(value)) return '';
+  const raw = String(value).trim();
+  try {
+    const url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    if (!url.hostname.includes('.') || /\s/.test(raw)) return null;
+    return `${url.protocol}//${url.hostname}${url.pathname === '/' ? '' : url.pathname}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Validate and normalize a record. Returns { record, errors, warnings };
+// a non-empty `errors` means the record should be quarantined.
+function validateRecord(input, article = {}) {
+  const errors = [];
+  const warnings = [];
+  const record = { ...input };
+
+  const company = String(input.company || '').trim();
+  if (isPlaceholder(company) || company.length < 2) {
+    errors.push('company name is missing');
+  } else if (company.length > 100) {
+    errors.push('company name is implausibly long');
+  }
+  record.company = company;
+
+  // Event type: as extracted, else the classifier's label, else from the round
+  let eventType = normalizeEventType(input.event_type);
+  if (eventType === null) {
+    warnings.push(`unrecognized event type "${input.event_type}"`);
+    eventType = '';
+  }
+  const hinted = article.classification && CLASSIFIER_EVENTS[article.classification.event_type];
+  if (!eventType) eventType = hinted || 'equity';
+
+  const round = NON_ROUND_EVENTS.includes(eventType) ? '' : normalizeRound(input.funding_round);
+  if (round === null) {
+    warnings.push(`unrecognized funding round "${input.funding_round}"`);
+    record.funding_round = 'Unknown';
+  } else {
+    record.funding_round = round;
+  }
+  if (eventType === 'equity' && record.funding_round === 'Debt') eventType = 'debt';
+  if (eventType === 'debt' && record.funding_round === 'Unknown') record.funding_round = 'Debt';
+  record.event_type = eventType;
+
+  record.acquirer = '';
+  if (eventType === 'acquisition') {
+    record.acquirer = isPlaceholder(input.acquirer) ? '' : String(input.acquirer).trim();
+    if (!record.acquirer) {
+      errors.push('acquisition without an acquirer');
+    } else if (record.acquirer.toLowerCase() === company.toLowerCase()) {
+      errors.push(`acquirer "${record.acquirer}" is the acquired company`);
+    }
+  }
+
+  record.listing_exchange = '';
+  if (eventType === 'ipo') {
+    record.listing_exchange = normalizeExchange(input.listing_exchange);
+    if (!record.listing_exchange) warnings.push('IPO without a listing exchange');
+    else if (!LISTING_EXCHANGES.some(([name]) => name === record.listing_exchange)) {
+      warnings.push(`unrecognized listing exchange "${record.listing_exchange}"`);
+    }
+  }
+
+  // Acquisitions may report the price as deal_value
+  const amountText = isPlaceholder(input.amount) && eventType === 'acquisition' ? input.deal_value : input.amount;
+  const amount = parseAmount(amountText);
+  record.amount = isPlaceholder(amountText) ? 'Undisclosed' : String(amountText).trim();
+  delete record.deal_value;
+  record.amount_value = null;
+  record.amount_currency = '';
+  record.amount_usd = null;
+  record.amount_inr = null;
+  if (amount === undefined) {
+    errors.push(`amount "${amountText}" could not be parsed`);
+  } else if (amount) {
+    const rates = loadRates();
+    record.amount_value = amount.value;
+    record.amount_currency = amount.currency;
+    record.amount_usd = convert(amount.value, amount.currency, 'USD', rates);
+    record.amount_inr = convert(amount.value, amount.currency, 'INR', rates);
+    if (!amount.currency) warnings.push(`amount "${amountText}" has no currency`);
+    else if (record.amount_usd === null) warnings.push(`no exchange rate for ${amount.currency}`);
+    // A round above $50B (or a deal above $500B) is almost certainly a parsing or model error
+    const ceiling = eventType === 'equity' || eventType === 'debt' ? 50e9 : 500e9;
+    if (record.amount_usd !== null && record.amount_usd > ceiling) errors.push(`amount "${amountText}" is implausibly large`);
+  }
+
+  if (eventType === 'equity' && record.funding_round === 'Unknown' && !amount) {
+    errors.push('neither a funding round nor an amount was found');
+  }
+
+  record.investors = splitInvestorNames(input.investors || input.investor_name);
+  record.investor_name = record.investors.join(', ');
+
+  const website = normalizeWebsite(input.website);
+  if (website === null) {
+    warnings.push(`dropped invalid website "${input.website}"`);
+    record.website = '';
+  } else {
+    record.website = website;
+  }
+
+  // Both the article's day and the announcement day; an extracted date that
+  // is unreadable, in the future or far from the article gives way to the
+  // article's day (scripts/dates.js)
+  record.article_date = toDay(article.pubDate || input.article_date);
+  const announced = checkAnnouncementDate(input.funding_news_date, record.article_date);
+  if (announced.date) {
+    record.funding_news_date = announced.date;
+  } else if (record.article_date) {
+    if (!isPlaceholder(input.funding_news_date)) warnings.push(`funding date rejected (${announced.reason}), using the article date`);
+    record.funding_news_date = record.article_date;
+  } else {
+    errors.push(`no usable funding date (${announced.reason}) and no article date`);
+  }
+
+  if (!record.source) errors.push('source URL is missing');
+
+  return { record, errors, warnings };
+}
+
+// Quarantine entry kept in history for later review
+function quarantineRecord(record, errors, article = {}) {
+  return {
+    reasons: errors,
+    record,
+    article: { title: article.title || '', link: article.link || '' },
+    quarantined_at: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  FUNDING_ROUNDS,
+  EVENT_TYPES,
+  validateRecord,
+  quarantineRecord,
+  normalizeRound,
+  normalizeEventType,
+  normalizeExchange,
+  parseAmount,
+  splitInvestorNames,
+  normalizeWebsite,
+  convert,
+  loadRates,
+};
@@ -1,141 +1,131 @@
-const path = require('path');
+// Funding news scraper
+//
+// One run: fetch the feeds, skip articles already processed, classify, queue
+// the deal articles, extract (AI with rule-based fallback), validate, merge
+// with known deals, save, then write profiles and deals to the output sinks.
+// Used through the CLI (scripts/cli.js scrape / backfill / reprocess); running
+// this file directly does a plain scrape.
+
 const axios = require('axios');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { google } = require('googleapis');
-const fs = require('fs').promises;
+const { parseFeed } = require('./feed-parser');
+const { loadFeedRegistry, getSourcePriority, matchesFeedKeywords } = require('./feeds');
+const { resolveProviders } = require('./providers');
+const { extractWithRules, crossCheck } = require('./rule-extractor');
+const { validateRecord, quarantineRecord } = require('./schema');
+const { findMatchingEntry, registerDeal, mergeSources } = require('./entity-resolution');
+const { initProvenance, mergeWithProvenance, describeConflicts } = require('./provenance');
+const { openStore, importLegacyHistory } = require('./store');
+const { resolveSinks, writeToSinks } = require('./sinks');
+const { buildProfiles } = require('./profiles');
+const { fetchArticleText, pruneArticleCache } = require('./article-fetcher');
+const { loadQueueSettings, runWithConcurrency } = require('./work-queue');
+const { createRateLimiter } = require('./rate-limit');
+const { canonicalUrl } = require('./canonical-url');
+const { classifyArticles, loadClassifierSettings } = require('./classifier');
+const { discoverArticles } = require('./backfill');
+const { log, getLogger, setLogger } = require('./logger');
+const { today } = require('./dates');
+const { createRunReport, writeReportFile } = require('./run-report');
 
-// RSS Feed Sources
-const RSS_FEEDS = [
-  'https://techcrunch.com/tag/funding/feed/',
-  'https://www.crunchbase.com/feed',
-  'https://yourstory.com/feed',
-  'https://inc42.com/feed/',
-];
+// How long to remember processed articles (feeds rarely keep items this long)
+const PROCESSED_ARTICLE_DAYS = 90;
 
-// Source Priority (lower = more trusted)
-const SOURCE_PRIORITY = {
-  'techcrunch.com': 1,
-  'crunchbase.com': 2,
-  'yourstory.com': 3,
-  'inc42.com': 4,
-  'venturebeat.com': 5,
-};
+// How long run reports stay in the store's run history
+const RUN_HISTORY_DAYS = 365;
+
+// Classifier labels we extract deals for (layoffs and other news are skipped)
+const TRACKED_EVENTS = ['funding', 'acquisition', 'ipo', 'shutdown'];
 
-// Initialize AI APIs
-let genAI, geminiModel;
-if (process.env.GEMINI_API_KEY) {
-  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  // FIXED: Use gemini-1.5-flash-latest (correct model name)
-  geminiModel = genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' });
+// Config is loaded on first use, so requiring this module has no side effects
+let feedRegistry = null;
+let aiProviders = null;
+
+// Feed sources and priorities (config/feeds.json)
+function getFeedRegistry() {
+  if (!feedRegistry) feedRegistry = loadFeedRegistry();
+  return feedRegistry;
 }
 
-// Multi-API Extraction with Fallback
-async function extractWithAI(article) {
-  const prompt = `
-Analyze this funding news and extract as JSON:
+// AI providers in fallback order (config/providers.json, AI_PROVIDERS)
+function getProviders() {
+  if (!aiProviders) aiProviders = resolveProviders();
+  return aiProviders;
+}
+
+// Build the extraction prompt for an article
+function buildExtractionPrompt(article) {
+  const body = article.fullText ? `\nArticle text:\n${article.fullText}\n` : '';
+  const hint = article.classification ? `Likely event: ${article.classification.event_type}\n` : '';
+  return `
+Analyze this startup news (funding round, acquisition, IPO or shutdown) and extract as JSON:
 
 Title: ${article.title}
 Description: ${article.description}
 Source: ${article.source}
-
+${hint}${body}
 Extract:
-1. company_name
-2. website
-3. funding_round (Seed/Series A/B/C/etc)
-4. funding_amount (with currency)
-5. investor_names (comma-separated list of investors - companies or individuals)
-6. industry
-7. description (one-line company description)
-8. funding_date (YYYY-MM-DD)
+1. event_type (equity, debt, acquisition, ipo or shutdown)
+2. company_name (the company that raised, was acquired, is listing or is shutting down)
+3. website
+4. funding_round (Seed/Series A/B/C/etc; empty for acquisitions, IPOs and shutdowns)
+5. funding_amount (with currency: money raised, acquisition deal value or IPO issue size)
+6. investor_names (comma-separated list of investors or lenders - companies or individuals)
+7. acquirer (acquisitions only: the buyer)
+8. listing_exchange (IPOs only: e.g. NSE, BSE, NASDAQ)
+9. industry
+10. description (one-line company description)
+11. funding_date (YYYY-MM-DD, the date of the announcement)
 
 Return ONLY valid JSON, no other text.
 `;
+}
 
-  // Try Bytez API first - FINAL FIX
-  if (process.env.BYTEZ_API_KEY) {
-    try {
-      console.log('Trying Bytez API...');
-      
-      // FIXED: Bytez correct endpoint from docs
-      const response = await axios.post('https://api.bytez.com/models/v2/openai/v1/chat/completions', {
-        model: 'Qwen/Qwen2.5-3B-Instruct', // FREE fast model
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 500
-      }, {
-        headers: {
-          'Authorization': process.env.BYTEZ_API_KEY, // No "Bearer" prefix
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
-      
-      // Parse response
-      const text = response.data.choices[0].message.content;
-      const result = parseAIResponse(text, article);
-      
-      if (result) {
-        console.log('✅ Bytez API succeeded');
-        return result;
-      }
-    } catch (error) {
-      console.error('Bytez API failed:', error.response?.data?.error || error.message);
-    }
-  }
+// Multi-API Extraction with Fallback
+// Throws an error with code QUOTA_EXHAUSTED when every provider has used up
+// its daily quota, so the article stays queued for a later run. Each attempt
+// (latency, failure) is recorded on `report` when given.
+async function extractWithAI(article, providers = getProviders(), limiter = null, report = null) {
+  const prompt = buildExtractionPrompt(article);
+  let outOfQuota = 0;
 
-  // Try OpenRouter API with better free model
-  if (process.env.OPENROUTER_API_KEY) {
+  for (const { provider, settings } of providers) {
+    const label = provider.label || provider.name;
+    if (limiter && !(await limiter.acquire(provider.name))) {
+      outOfQuota++;
+      if (report) report.providerSkipped(provider.name);
+      continue;
+    }
+    const started = Date.now();
     try {
-      console.log('Trying OpenRouter API...');
-      const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-        model: 'qwen/qwen-2.5-7b-instruct:free', // Alternative free model (more stable)
-        messages: [{ role: 'user', content: prompt }]
-      }, {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://github.com/fundtracker',
-          'X-Title': 'Funding Tracker'
-        },
-        timeout: 30000
-      });
-      
-      const text = response.data.choices[0].message.content;
+      log.info(`Trying ${label} (${settings.model || provider.name})...`, { provider: provider.name });
+      const response = await provider.call(prompt, settings);
+      const text = provider.parse(response);
       const result = parseAIResponse(text, article);
+      const ms = Date.now() - started;
       
       if (result) {
-        console.log('✅ OpenRouter API succeeded');
-        return result;
+        if (report) report.providerAttempt(provider.name, { ms });
+        log.info(`✅ ${label} succeeded`, { provider: provider.name, ms });
+        return { ...result, extracted_by: provider.name };
       }
+      if (report) report.providerAttempt(provider.name, { ms, error: 'no usable result in response' });
+      log.warn(`${label} gave no usable result`, { provider: provider.name, ms });
     } catch (error) {
-      console.error('OpenRouter API failed:', error.response?.data?.error || error.message);
+      const detail = error.response?.data?.error;
+      const message = typeof detail === 'string' ? detail : detail?.message || error.message;
+      const ms = Date.now() - started;
+      if (report) report.providerAttempt(provider.name, { ms, error: message });
+      log.warn(`${label} failed: ${message}`, { provider: provider.name, ms, status: error.response?.status });
     }
   }
 
-  // Fallback to Gemini - FIXED MODEL NAME
-  if (geminiModel) {
-    try {
-      console.log('Trying Gemini API...');
-      const result = await geminiModel.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      const parsed = parseAIResponse(text, article);
-      
-      if (parsed) {
-        console.log('✅ Gemini API succeeded');
-        return parsed;
-      }
-    } catch (error) {
-      console.error('Gemini API failed:', error.message);
-    }
+  if (providers.length > 0 && outOfQuota === providers.length) {
+    const error = new Error('All AI providers have used their daily quota');
+    error.code = 'QUOTA_EXHAUSTED';
+    throw error;
   }
 
-  console.error('❌ All AI APIs failed');
+  log.warn('❌ All AI APIs failed', { article: article.link });
   return null;
 }
 
@@ -157,331 +147,501 @@ function parseAIResponse(text, article) {
       }
       
       return {
+        event_type: extracted.event_type || '',
         company: extracted.company_name || 'Unknown',
         website: extracted.website || '',
         funding_round: extracted.funding_round || 'Unknown',
-        funding_news_date: extracted.funding_date || article.pubDate,
-        amount: extracted.funding_amount || 'Undisclosed',
+        // Checked against the article date by validateRecord
+        funding_news_date: extracted.funding_date || '',
+        amount: extracted.funding_amount || extracted.deal_value || 'Undisclosed',
         investor_name: extracted.investor_names || '',
+        acquirer: extracted.acquirer || '',
+        listing_exchange: extracted.listing_exchange || '',
         industry: extracted.industry || '',
         description: extracted.description || article.description.substring(0, 150),
         source: article.link,
-        last_updated: new Date().toISOString().split('T')[0],
+        last_updated: today(),
       };
     }
   } catch (error) {
-    console.error('JSON parse error:', error.message);
+    log.warn(`JSON parse error: ${error.message}`);
   }
   return null;
 }
 
-// Load history (30 days)
-async function loadHistory() {
-  try {
-    const data = await fs.readFile(path.join(__dirname, 'history.json'), 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.log('History file not found, starting fresh');
-    return { entries: [] };
-  }
-}
-
-// Save history
-async function saveHistory(history) {
-  await fs.writeFile(path.join(__dirname, 'history.json'), JSON.stringify(history, null, 2));
-}
-
-// Clean old entries (30 days)
-function cleanOldEntries(entries) {
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  
-  return entries.filter(entry => {
-    const entryDate = new Date(entry.funding_news_date);
-    return entryDate >= thirtyDaysAgo;
-  });
-}
-
-// Fetch RSS
-async function fetchRSSFeeds() {
+// Fetch RSS. Each feed's outcome is recorded on `report` when given.
+async function fetchRSSFeeds(registry = getFeedRegistry(), report = null) {
   const allArticles = [];
+  const seenUrls = new Set();
   
-  for (const feed of RSS_FEEDS) {
+  for (const feed of registry.enabledFeeds) {
+    const started = Date.now();
     try {
-      console.log(`Fetching: ${feed}`);
-      const response = await axios.get(feed, { 
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; FundingTracker/1.0)'
-        }
+      log.info(`Fetching: ${feed.name} (${feed.url})`, { feed: feed.name });
+      const response = await axios.get(feed.url, { 
+        timeout: feed.timeout,
+        responseType: 'text',
+        headers: feed.headers,
+      });
+      const { format, items } = parseFeed(response.data, feed.url);
+      const articles = items
+        .filter(article => matchesFeedKeywords(feed, article))
+        .filter(article => !seenUrls.has(canonicalUrl(article.link)))
+        .map(article => ({ ...article, feed: feed.name, regions: feed.regions }));
+      // Items without a readable date are dated the day they first show up
+      const undated = articles.filter(article => !article.pubDate);
+      undated.forEach(article => (article.pubDate = today()));
+      if (undated.length > 0) log.warn(`⚠️  ${undated.length} items from ${feed.name} have no readable date, using today`, { feed: feed.name });
+      articles.forEach(article => seenUrls.add(canonicalUrl(article.link)));
+      const ms = Date.now() - started;
+      log.info(`Found ${articles.length} articles from ${feed.name} (${format}, ${items.length} in feed)`, {
+        feed: feed.name, format, items: items.length, articles: articles.length, ms,
       });
-      const articles = parseRSS(response.data, feed);
-      console.log(`Found ${articles.length} articles from ${feed}`);
+      if (report) report.feed({ name: feed.name, url: feed.url, ok: true, format, items: items.length, articles: articles.length, ms });
       allArticles.push(...articles);
     } catch (error) {
-      console.error(`Error fetching ${feed}:`, error.message);
+      const ms = Date.now() - started;
+      log.error(`Error fetching ${feed.url}: ${error.message}`, { feed: feed.name, status: error.response?.status, ms });
+      if (report) report.feed({ name: feed.name, url: feed.url, ok: false, items: 0, articles: 0, ms, error: error.message });
     }
   }
   
   return allArticles;
 }
 
-// Parse RSS (improved)
-function parseRSS(xml, feedUrl) {
-  const articles = [];
-  const itemRegex = /<item>(.*?)<\/item>/gs;
-  const matches = xml.matchAll(itemRegex);
-  
-  for (const match of matches) {
-    const item = match[1];
-    
-    // Extract title
-    const titleMatch = item.match(/<title>(<!\[CDATA\[)?(.*?)(]]>)?<\/title>/s);
-    const title = titleMatch ? titleMatch[2].trim() : '';
-    
-    // Extract link
-    const linkMatch = item.match(/<link>(.*?)<\/link>/);
-    const link = linkMatch ? linkMatch[1].trim() : '';
-    
-    // Extract description
-    const descMatch = item.match(/<description>(<!\[CDATA\[)?(.*?)(]]>)?<\/description>/s);
-    let description = descMatch ? descMatch[2] : '';
-    description = description.replace(/<[^>]*>/g, '').trim(); // Remove HTML tags
-    
-    // Extract pubDate
-    const pubDateMatch = item.match(/<pubDate>(.*?)<\/pubDate>/);
-    let pubDate = new Date().toISOString().split('T')[0]; // Default to today
-    if (pubDateMatch) {
-      try {
-        pubDate = new Date(pubDateMatch[1]).toISOString().split('T')[0];
-      } catch (e) {
-        console.error('Date parse error:', e.message);
-      }
-    }
-    
-    // Only add if we have minimum required fields
-    if (title && link) {
-      articles.push({
-        title,
-        link,
-        description,
-        pubDate,
-        source: new URL(feedUrl).hostname,
-      });
+// Attach the article page's main text when its feed has fullText enabled
+async function addFullText(article) {
+  const feed = getFeedRegistry().feeds.find(candidate => candidate.name === article.feed);
+  try {
+    const result = await fetchArticleText(article, feed);
+    if (result) {
+      article.fullText = result.text;
+      log.info(`📄 Full text: ${result.text.length} chars${result.cached ? ' (cached)' : ''}`, { chars: result.text.length, cached: result.cached });
     }
+  } catch (error) {
+    log.warn(`⚠️  Full text unavailable, using feed description: ${error.message}`, { article: article.link });
   }
-  
-  return articles;
-}
-
-// Check duplicate
-function isDuplicate(entry, history) {
-  return history.entries.some(existing =>
-    existing.company.toLowerCase() === entry.company.toLowerCase() &&
-    existing.funding_round === entry.funding_round &&
-    existing.funding_news_date === entry.funding_news_date
-  );
+  return article;
 }
 
-// Merge entries from multiple sources
+// Merge entries from multiple sources, keeping every source's value per field
 function mergeEntries(existing, newEntry) {
-  const existingPriority = SOURCE_PRIORITY[new URL(existing.source).hostname] || 999;
-  const newPriority = SOURCE_PRIORITY[new URL(newEntry.source).hostname] || 999;
-  
-  const preferred = newPriority < existingPriority ? newEntry : existing;
-  const secondary = newPriority < existingPriority ? existing : newEntry;
+  const priorityOf = url => getSourcePriority(getFeedRegistry(), url);
+  const merged = mergeWithProvenance(existing, newEntry, priorityOf);
+  const sources = mergeSources(existing, newEntry);
+  const preferred = [...sources].sort((a, b) => priorityOf(a.url) - priorityOf(b.url))[0];
   
   return {
-    ...preferred,
-    website: preferred.website || secondary.website,
-    amount: preferred.amount !== 'Undisclosed' ? preferred.amount : secondary.amount,
-    investor_name: preferred.investor_name || secondary.investor_name,
-    last_updated: new Date().toISOString().split('T')[0],
+    ...merged,
+    // Keep the ID the deal was first recorded under
+    deal_id: existing.deal_id,
+    sources,
+    source: preferred.url,
+    last_updated: today(),
   };
 }
 
-// Update Google Sheets
-async function updateGoogleSheets(entries) {
-  if (!process.env.SPREADSHEET_ID) {
-    console.log('⚠️ SPREADSHEET_ID not set, skipping Google Sheets update');
-    return;
+// Extract, validate and dedupe one article, saving the result to the store.
+// Returns the outcome recorded in the processed-articles cache.
+async function processArticle(article, run) {
+  const { store, history, newEntries, updatedEntries, counts } = run;
+  
+  await addFullText(article);
+  
+  let extracted = await extractWithAI(article, getProviders(), run.limiter, run.report);
+  
+  if (extracted) {
+    // Flag AI results that disagree with the article text
+    const flags = crossCheck(extracted, article);
+    if (flags.length > 0) {
+      extracted.review_flags = flags;
+      log.warn(`🚩 Needs review: ${flags.join('; ')}`, { article: article.link, flags });
+    }
+  } else {
+    extracted = extractWithRules(article);
+    if (extracted) {
+      counts.rules++;
+      log.info(`🔧 Rule-based fallback extracted: ${extracted.company}`);
+    }
   }
   
-  try {
-    console.log('Connecting to Google Sheets...');
-    
-    const credentials = JSON.parse(process.env.GOOGLE_SHEETS_CREDENTIALS);
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-    });
-    
-    const sheets = google.sheets({ version: 'v4', auth });
-    const spreadsheetId = process.env.SPREADSHEET_ID;
-    
-    console.log('Reading existing data...');
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: 'Funding_Data!A:K',
-    });
+  if (!extracted) {
+    counts.fail++;
+    log.warn(`⚠️  Failed to extract data from article`, { article: article.link });
+    return { status: 'no_data', reason: 'no funding data could be extracted' };
+  }
+  
+  const validation = validateRecord(extracted, article);
+  validation.warnings.forEach(warning => log.info(`   ℹ️  ${warning}`));
+  
+  if (validation.errors.length > 0) {
+    const item = quarantineRecord(validation.record, validation.errors, article);
+    history.quarantine.push(item);
+    store.addQuarantine([item]);
+    counts.rejected++;
+    log.warn(`🚫 Quarantined: ${validation.errors.join('; ')}`, { article: article.link, errors: validation.errors });
+    return { status: 'quarantined', result: validation.record, reason: validation.errors.join('; ') };
+  }
+  
+  extracted = validation.record;
+  
+  // Same deal from another source (fuzzy name/domain, date window, amount)
+  const existingIndex = findMatchingEntry(extracted, history.entries);
+  
+  if (existingIndex >= 0) {
+    log.info(`⏭️  Skipped (duplicate of ${history.entries[existingIndex].deal_id}): ${extracted.company}`, { deal_id: history.entries[existingIndex].deal_id });
     
-    const existingRows = response.data.values || [];
+    // Merge with existing if better source
+    history.entries[existingIndex] = mergeEntries(
+      history.entries[existingIndex],
+      extracted
+    );
     
-    for (const entry of entries) {
-      const existingIndex = existingRows.findIndex((row, idx) =>
-        idx > 0 &&
-        row[0] === entry.company &&
-        row[4] === entry.funding_round &&
-        row[9] === entry.funding_news_date
-      );
-      
-      const rowData = [
-        entry.company,
-        entry.website,
-        '', // LinkedIn (will add later)
-        entry.amount,
-        entry.funding_round,
-        entry.industry,
-        entry.description,
-        entry.source,
-        entry.investor_name,
-        entry.funding_news_date,
-        entry.last_updated,
-      ];
-      
-      if (existingIndex >= 0) {
-        // Update existing row
-        await sheets.spreadsheets.values.update({
-          spreadsheetId,
-          range: `Funding_Data!A${existingIndex + 1}:K${existingIndex + 1}`,
-          valueInputOption: 'RAW',
-          resource: { values: [rowData] },
-        });
-        console.log(`✅ Updated: ${entry.company}`);
-      } else {
-        // Append new row
-        await sheets.spreadsheets.values.append({
-          spreadsheetId,
-          range: 'Funding_Data!A:K',
-          valueInputOption: 'RAW',
-          resource: { values: [rowData] },
-        });
-        console.log(`✅ Added: ${entry.company}`);
-      }
-      
-      // Rate limiting for Google Sheets API
-      await new Promise(resolve => setTimeout(resolve, 500));
+    const merged = history.entries[existingIndex];
+    if (merged.conflicts.length > 0) {
+      log.warn(`⚠️  Conflicting sources: ${describeConflicts(merged)}`, { deal_id: merged.deal_id });
     }
-  } catch (error) {
-    console.error('Error updating Google Sheets:', error.message);
-    if (error.response?.data) {
-      console.error('Details:', JSON.stringify(error.response.data, null, 2));
+    const newIndex = newEntries.findIndex(entry => entry.deal_id === merged.deal_id);
+    if (newIndex >= 0) {
+      newEntries[newIndex] = merged;
+    } else {
+      updatedEntries.set(merged.deal_id, merged);
     }
-    throw error;
+    store.saveEntries([merged]);
+    return { status: 'merged', dealId: merged.deal_id, result: validation.record };
+  } else {
+    extracted = initProvenance(registerDeal(extracted), getSourcePriority(getFeedRegistry(), extracted.source));
+    history.entries.push(extracted);
+    newEntries.push(extracted);
+    store.saveEntries([extracted]);
+    counts.success++;
+    log.info(`✅ Extracted: ${extracted.company} - ${extracted.event_type} - ${extracted.amount}`, { deal_id: extracted.deal_id });
+    return { status: 'new', dealId: extracted.deal_id, result: validation.record };
   }
 }
 
-// Main
-async function main() {
-  console.log('🚀 Starting Funding Tracker Scraper...');
-  console.log(`📅 Date: ${new Date().toISOString()}`);
+// Articles published between `from` and `to` (YYYY-MM-DD, inclusive)
+function inDateRange(article, { from, to } = {}) {
+  if (from && !(article.pubDate >= from)) return false;
+  if (to && !(article.pubDate <= to)) return false;
+  return true;
+}
+
+function printDeals(label, entries) {
+  if (entries.length === 0) return;
+  log.info(`\n${label}:`);
+  for (const entry of entries) {
+    log.info(`   ${entry.deal_id}  ${entry.company} - ${entry.event_type} - ${entry.funding_round || '—'} - ${entry.amount}`);
+  }
+}
+
+// Run the pipeline once. Options:
+//   dryRun     process everything but save nothing and write no outputs
+//   fetch      fetch the feeds (false: only work through the queue)
+//   from, to   only keep fetched articles published in this range
+//   backfill   walk feed pages, archives and sitemaps for from..to instead of
+//              reading the current feeds: { methods, feeds, restart } (scripts/backfill.js)
+//   store      an open store to use (e.g. with articles just re-queued)
+// Returns { counts, newEntries, updatedEntries, profiles, sinkResults, stopReason, report }.
+// The run report (scripts/run-report.js) is added to the run history, also
+// when the run fails; dry runs only return it.
+async function runScrape({ dryRun = false, fetch = true, from, to, backfill = null, store: openedStore } = {}) {
+  const runReport = createRunReport({ mode: backfill ? 'backfill' : fetch ? 'scrape' : 'reprocess', dryRun, from, to });
+  const { articles: articleStats, entries: entryStats } = runReport.report;
+  // Every log line of this run carries its ID
+  const parentLogger = getLogger();
+  setLogger(parentLogger.child({ run_id: runReport.report.id }));
   
+  let store = openedStore;
   try {
-    // Load history
-    let history = await loadHistory();
-    console.log(`📊 Loaded ${history.entries.length} historical entries`);
+    log.info(`🚀 Starting Funding Tracker Scraper${dryRun ? ' (dry run: nothing will be saved)' : ''}...`);
+    log.info(`📅 Date: ${new Date().toISOString()}`);
     
-    // Clean old entries
-    history.entries = cleanOldEntries(history.entries);
-    console.log(`🧹 After cleanup: ${history.entries.length} entries`);
+    const registry = getFeedRegistry();
+    const providers = getProviders();
+    // Output destinations (config/sinks.json, SINKS), checked before any work
+    const sinks = dryRun ? [] : resolveSinks();
     
-    // Fetch RSS feeds
-    const articles = await fetchRSSFeeds();
-    console.log(`📰 Fetched ${articles.length} total articles`);
+    // Open the deal store (importing legacy history.json on first run)
+    if (!store) store = await openStore();
+    const save = dryRun ? () => {} : () => store.save();
     
-    // Filter for funding articles
-    const fundingKeywords = ['raised', 'funding', 'series', 'seed', 'investment', 'round', 'capital'];
-    const fundingArticles = articles.filter(article => {
-      const text = (article.title + ' ' + article.description).toLowerCase();
-      return fundingKeywords.some(keyword => text.includes(keyword));
-    });
-    console.log(`💰 Found ${fundingArticles.length} funding articles`);
+    if (store.countDeals() === 0) {
+      const imported = importLegacyHistory(store);
+      if (imported > 0) log.info(`📥 Imported ${imported} entries from history.json`);
+    }
     
-    const newEntries = [];
-    let successCount = 0;
-    let failCount = 0;
+    // Archive old deals (HISTORY_RETENTION_DAYS, default 30)
+    const pruned = store.applyRetention();
+    log.info(`🧹 Archived ${pruned.deals} deals and pruned ${pruned.quarantine} quarantined records past retention`);
+    if (!dryRun) pruneArticleCache(Math.max(1, ...registry.feeds.map(feed => feed.fullText.cacheDays)));
     
-    // Process each funding article (limit to first 10 to stay within API limits)
-    const articlesToProcess = fundingArticles.slice(0, 10);
+    // Backfilled articles can be about deals already archived past retention
+    const history = { entries: store.loadEntries({ includeArchived: Boolean(backfill) }), quarantine: [] };
+    log.info(`📊 Loaded ${history.entries.length} historical entries`);
     
-    for (let i = 0; i < articlesToProcess.length; i++) {
-      const article = articlesToProcess[i];
-      console.log(`\n[${i + 1}/${articlesToProcess.length}] Processing: ${article.title.substring(0, 60)}...`);
-      
-      const extracted = await extractWithAI(article);
-      
-      if (extracted && extracted.company !== 'Unknown') {
-        if (isDuplicate(extracted, history)) {
-          console.log(`⏭️  Skipped (duplicate): ${extracted.company}`);
-          
-          // Merge with existing if better source
-          const existingIndex = history.entries.findIndex(e =>
-            e.company.toLowerCase() === extracted.company.toLowerCase() &&
-            e.funding_round === extracted.funding_round &&
-            e.funding_news_date === extracted.funding_news_date
-          );
-          
-          if (existingIndex >= 0) {
-            history.entries[existingIndex] = mergeEntries(
-              history.entries[existingIndex],
-              extracted
-            );
-          }
-        } else {
-          history.entries.push(extracted);
-          newEntries.push(extracted);
-          successCount++;
-          console.log(`✅ Extracted: ${extracted.company} - ${extracted.amount}`);
-        }
-      } else {
-        failCount++;
-        console.log(`⚠️  Failed to extract data from article`);
+    // Fetch RSS feeds (or walk their history when backfilling)
+    let articles = [];
+    if (fetch && backfill) {
+      articles = await discoverArticles(registry, { ...backfill, from, to, store });
+      log.info(`📰 Found ${articles.length} articles published from ${from} to ${to}`);
+    } else if (fetch) {
+      articles = await fetchRSSFeeds(registry, runReport);
+      log.info(`📰 Fetched ${articles.length} total articles`);
+      if (from || to) {
+        const fetched = articles.length;
+        articles = articles.filter(article => inDateRange(article, { from, to }));
+        articleStats.out_of_range = fetched - articles.length;
+        log.info(`📆 ${articles.length} published ${from ? `from ${from}` : ''}${from && to ? ' ' : ''}${to ? `to ${to}` : ''}`);
       }
-      
-      // Rate limiting between API calls
-      await new Promise(resolve => setTimeout(resolve, 2000));
     }
+    articleStats.fetched = articles.length;
     
-    console.log(`\n📊 Summary:`);
-    console.log(`   - Total articles: ${articles.length}`);
-    console.log(`   - Funding articles: ${fundingArticles.length}`);
-    console.log(`   - Processed: ${articlesToProcess.length}`);
-    console.log(`   - Successful extractions: ${successCount}`);
-    console.log(`   - Failed extractions: ${failCount}`);
-    console.log(`   - New unique entries: ${newEntries.length}`);
-    console.log(`   - Total in history: ${history.entries.length}`);
+    // Skip articles already handled by an earlier run
+    store.pruneProcessed(PROCESSED_ARTICLE_DAYS);
+    const freshArticles = articles.filter(article => !store.findProcessed(article));
+    articleStats.already_processed = articles.length - freshArticles.length;
+    log.info(`♻️  Skipping ${articleStats.already_processed} already-processed articles`);
     
-    // Update Google Sheets
-    if (newEntries.length > 0) {
-      console.log(`\n📤 Updating Google Sheets...`);
-      await updateGoogleSheets(newEntries);
-      console.log(`✅ Google Sheets updated!`);
-    } else {
-      console.log(`\n⚠️  No new entries to add to Google Sheets`);
+    // Classify the rest; only deal events go on to extraction
+    const limiter = createRateLimiter(providers, store);
+    const classifierSettings = loadClassifierSettings();
+    const classified = await classifyArticles(freshArticles, {
+      providers: classifierSettings.llm ? providers : [],
+      limiter,
+      minConfidence: classifierSettings.minConfidence,
+    });
+    const fundingArticles = [];
+    const eventCounts = {};
+    for (const article of classified) {
+      const { event_type: eventType, confidence, method } = article.classification;
+      eventCounts[eventType] = (eventCounts[eventType] || 0) + 1;
+      if (TRACKED_EVENTS.includes(eventType)) {
+        fundingArticles.push(article);
+      } else {
+        store.markProcessed(article, { status: 'skipped', reason: `classified as ${eventType} (${confidence}, ${method})` });
+      }
     }
+    articleStats.classified = eventCounts;
+    articleStats.deal_articles = fundingArticles.length;
+    log.info(`💰 Found ${fundingArticles.length} deal articles (${Object.entries(eventCounts).map(([type, count]) => `${type}: ${count}`).join(', ')})`, { classified: eventCounts });
     
-    // Save history
-    await saveHistory(history);
-    console.log(`💾 History saved`);
+    // Queue them so anything this run doesn't reach is kept for the next one
+    const queueSettings = loadQueueSettings();
+    const expired = store.pruneQueue(queueSettings.maxAgeDays);
+    if (expired > 0) log.info(`🗑️  Dropped ${expired} articles queued for more than ${queueSettings.maxAgeDays} days`);
+    const queued = store.enqueueArticles(fundingArticles);
+    articleStats.newly_queued = queued;
+    const articlesToProcess = store.loadQueue(queueSettings.maxArticles);
+    log.info(`📥 Queued ${queued} new articles, ${store.countQueue()} waiting (processing ${articlesToProcess.length}, concurrency ${queueSettings.concurrency})`);
     
-    console.log(`\n🎉 Scraper finished successfully!`);
+    const run = {
+      store,
+      history,
+      limiter,
+      report: runReport,
+      newEntries: [],
+      updatedEntries: new Map(),
+      counts: { success: 0, fail: 0, rules: 0, rejected: 0, errors: 0, dropped: 0, processed: 0 },
+    };
+    const { newEntries, updatedEntries, counts } = run;
     
+    const deadline = queueSettings.timeBudgetMinutes
+      ? Date.now() + queueSettings.timeBudgetMinutes * 60000
+      : Infinity;
+    let stopReason = null;
+    
+    await runWithConcurrency(articlesToProcess, async (article, i) => {
+      log.info(`\n[${i + 1}/${articlesToProcess.length}] Processing: ${article.title.substring(0, 60)}...`, { article: article.link });
+      try {
+        const outcome = await processArticle(article, run);
+        store.markProcessed(article, outcome);
+        store.completeQueued(article.link);
+        counts.processed++;
+      } catch (error) {
+        if (error.code === 'QUOTA_EXHAUSTED') {
+          stopReason = error.message;
+          log.info(`⏸️  ${error.message}, leaving the rest queued`);
+          return;
+        }
+        counts.errors++;
+        const dropped = store.failQueued(article.link, error.message, queueSettings.maxAttempts);
+        if (dropped) {
+          counts.dropped++;
+          store.markProcessed(article, { status: 'error', reason: error.message });
+        }
+        log.error(`❌ Error processing article${dropped ? ' (giving up)' : ', will retry next run'}: ${error.message}`, { article: article.link, dropped });
+      }
+      // Checkpoint so a crash or timeout resumes from here
+      save();
+    }, {
+      concurrency: queueSettings.concurrency,
+      shouldStop: () => {
+        if (!stopReason && Date.now() > deadline) {
+          stopReason = `time budget of ${queueSettings.timeBudgetMinutes} minutes used`;
+          log.info(`⏸️  ${stopReason}, leaving the rest queued`);
+        }
+        return stopReason !== null;
+      },
+    });
+    
+    log.info(`\n📊 Summary:`);
+    log.info(`   - Total articles: ${articles.length}`);
+    log.info(`   - Deal articles: ${fundingArticles.length}`);
+    log.info(`   - Processed: ${counts.processed}`);
+    log.info(`   - Successful extractions: ${counts.success}`);
+    log.info(`   - Rule-based fallbacks: ${counts.rules}`);
+    log.info(`   - Failed extractions: ${counts.fail}`);
+    log.info(`   - Quarantined (failed validation): ${counts.rejected}`);
+    log.info(`   - Errors (retried next run): ${counts.errors - counts.dropped}`);
+    log.info(`   - Dropped after ${queueSettings.maxAttempts} attempts: ${counts.dropped}`);
+    log.info(`   - Still queued: ${store.countQueue()}${stopReason ? ` (${stopReason})` : ''}`);
+    log.info(`   - New unique entries: ${newEntries.length}`);
+    log.info(`   - Merged into existing deals: ${updatedEntries.size}`);
+    log.info(`   - Total in history: ${history.entries.length}`);
+    
+    articleStats.processed = counts.processed;
+    articleStats.still_queued = store.countQueue();
+    Object.assign(entryStats, {
+      added: newEntries.length,
+      merged: updatedEntries.size,
+      quarantined: counts.rejected,
+      rule_fallbacks: counts.rules,
+      no_data: counts.fail,
+      errors: counts.errors,
+      dropped: counts.dropped,
+      total: history.entries.length,
+    });
+    
+    // Company and investor profiles cover archived deals too
+    const profiles = buildProfiles(store.loadEntries({ includeArchived: true }));
+    log.info(`   - Company profiles: ${profiles.companies.length}, investor profiles: ${profiles.investors.length}`);
+    
+    const result = {
+      counts,
+      newEntries,
+      updatedEntries: [...updatedEntries.values()],
+      profiles,
+      sinkResults: [],
+      stopReason,
+      report: null,
+    };
+    
+    if (dryRun) {
+      printDeals('Would add', result.newEntries);
+      printDeals('Would update', result.updatedEntries);
+      log.info(`\n🧪 Dry run: ${store.path} and the output sinks were left untouched`);
+      result.report = finishRun(store, runReport, { stopReason, dryRun });
+      return result;
+    }
+    
+    // Deals were saved as each article finished; save once more before
+    // writing outputs so a sink failure can't lose anything
+    save();
+    log.info(`💾 History saved to ${store.path}`);
+    
+    // Write to output sinks (new deals plus merged ones, so conflicts show up)
+    if (newEntries.length === 0 && updatedEntries.size === 0) {
+      log.info(`\n⚠️  No new or updated deals this run`);
+    }
+    log.info('');
+    result.sinkResults = await writeToSinks({
+      newEntries: result.newEntries,
+      updatedEntries: result.updatedEntries,
+      allEntries: store.loadEntries(),
+      profiles,
+      backfill: Boolean(backfill),
+      outbox: store,
+    }, sinks);
+    runReport.sinks(result.sinkResults);
+    result.report = finishRun(store, runReport, { stopReason });
+    return result;
+  } catch (error) {
+    if (store && !dryRun) {
+      try {
+        finishRun(store, runReport, { error });
+      } catch (reportError) {
+        log.error(`Could not save the run report: ${reportError.message}`);
+      }
+    }
+    throw error;
+  } finally {
+    if (store) store.close();
+    setLogger(parentLogger);
+  }
+}
+
+// Close the run report and log what needs attention. Outside dry runs the
+// report is appended to the store's run history and written to its file.
+function finishRun(store, runReport, { error = null, stopReason = null, dryRun = false } = {}) {
+  const report = runReport.finish({ error, stopReason });
+  report.problems.forEach(problem => log.warn(`⚠️  ${problem}`));
+  if (dryRun) return report;
+  
+  store.saveRun(report);
+  store.pruneRuns(RUN_HISTORY_DAYS);
+  store.save();
+  const file = writeReportFile(report);
+  log.info(`📝 Run report (${report.status}) saved to ${file}`, { status: report.status, duration_ms: report.duration_ms });
+  return report;
+}
+
+// Put articles processed since `since` (optionally only those with `status`)
+// back on the queue and extract them again. Skipped (non-deal) articles are
+// only included when asked for by status; status "failed" picks every
+// failed status (no_data, quarantined, error), as retry-articles.js does.
+async function reprocessArticles({ since, status, dryRun = false } = {}) {
+  const store = await openStore();
+  let rows;
+  try {
+    const filter = status === 'failed' ? { since, failed: true } : { since, status };
+    rows = store.listProcessed(filter).filter(row => status || row.status !== 'skipped');
+    const queued = store.retryProcessed(rows);
+    log.info(`🔁 ${rows.length} articles to reprocess${since ? ` (processed since ${since})` : ''}, ${queued} queued`);
   } catch (error) {
-    console.error('\n❌ FATAL ERROR:', error);
-    console.error('Stack trace:', error.stack);
-    process.exit(1);
+    store.close();
+    throw error;
   }
+  return runScrape({ dryRun, fetch: false, store });
 }
 
-// Run the scraper
-main();
+// Exit code for a finished run: 1 when an output sink failed
+function reportRun(result) {
+  const failedSinks = result.sinkResults.filter(sinkResult => !sinkResult.ok);
+  if (failedSinks.length > 0) {
+    log.error(`\n❌ ${failedSinks.length} output sink(s) failed: ${failedSinks.map(sinkResult => sinkResult.name).join(', ')}`);
+    return 1;
+  }
+  const problems = result.report ? result.report.problems.length : 0;
+  if (problems > 0) {
+    log.warn(`\n⚠️  Scraper finished with ${problems} problem(s) (listed above)`);
+    return 0;
+  }
+  log.info(`\n🎉 Scraper finished successfully!`);
+  return 0;
+}
+
+if (require.main === module) {
+  runScrape()
+    .then(result => {
+      process.exitCode = reportRun(result);
+    })
+    .catch(error => {
+      console.error('\n❌ FATAL ERROR:', error);
+      console.error('Stack trace:', error.stack);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runScrape,
+  reprocessArticles,
+  reportRun,
+  fetchRSSFeeds,
+  processArticle,
+  extractWithAI,
+  parseAIResponse,
+  buildExtractionPrompt,
+  inDateRange,
+  TRACKED_EVENTS,
+};
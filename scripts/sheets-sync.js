@@ -0,0 +1,665 @@
+// Google Sheets sync
+//
+// The one place deals are written to Google Sheets. Columns are declared in
+// COLUMNS; the header row is created on first sync and verified afterwards.
+// Company and investor profiles (scripts/profiles.js) are rewritten in full
+// on their own tabs, which are created if missing.
+// Used by the scraper after each run, or standalone to push deals from the
+// store (or a JSON file) to the sheet:
+//
+//   node scripts/sheets-sync.js [--since YYYY-MM-DD] [--file entries.json]
+//
+// With --dry-run nothing is written: the deals are diffed against the sheet
+// (or a CSV snapshot of it, --snapshot sheet.csv) and the adds/updates are
+// printed; --plan plan.json saves the change plan, which --apply plan.json
+// writes later exactly as previewed (refusing if the sheet changed meanwhile).
+//
+// Env: GOOGLE_SHEET_ID, GOOGLE_SERVICE_ACCOUNT_KEY (service account JSON),
+// GOOGLE_SHEET_NAME (tab, default Funding_Data), GOOGLE_COMPANIES_SHEET_NAME
+// and GOOGLE_INVESTORS_SHEET_NAME (default Companies / Investors, "none" to skip).
+
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const { describeConflicts } = require('./provenance');
+const { buildProfiles, COMPANY_COLUMNS, INVESTOR_COLUMNS } = require('./profiles');
+const { log } = require('./logger');
+
+const DEFAULT_SHEET_NAME = 'Funding_Data';
+const DEFAULT_COMPANIES_SHEET_NAME = 'Companies';
+const DEFAULT_INVESTORS_SHEET_NAME = 'Investors';
+
+// Sheet layout, in column order
+const COLUMNS = [
+  { header: 'Company', value: entry => entry.company },
+  { header: 'Website', value: entry => entry.website },
+  { header: 'LinkedIn', value: () => '' }, // Will add later
+  { header: 'Amount', value: entry => entry.amount },
+  { header: 'Funding Round', value: entry => entry.funding_round },
+  { header: 'Industry', value: entry => entry.industry },
+  { header: 'Description', value: entry => entry.description },
+  { header: 'Source', value: entry => entry.source },
+  { header: 'Investor Name', value: entry => entry.investor_name },
+  { header: 'Funding News Date', value: entry => entry.funding_news_date },
+  { header: 'Last Updated', value: entry => entry.last_updated },
+  { header: 'Conflicts', value: entry => describeConflicts(entry) },
+  { header: 'Deal ID', value: entry => entry.deal_id },
+  { header: 'Event Type', value: entry => entry.event_type || 'equity' },
+  { header: 'Acquirer', value: entry => entry.acquirer },
+  { header: 'Listing Exchange', value: entry => entry.listing_exchange },
+  { header: 'Article Date', value: entry => entry.article_date || '' },
+];
+
+const HEADERS = COLUMNS.map(column => column.header);
+
+function columnIndex(header) {
+  return HEADERS.indexOf(header);
+}
+
+// 1 -> A, 27 -> AA
+function columnLetter(number) {
+  let letters = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+const LAST_COLUMN = columnLetter(COLUMNS.length);
+
+// Read the sheet settings from the environment; null when sync is not configured.
+// SPREADSHEET_ID / GOOGLE_SHEETS_CREDENTIALS are accepted for older setups.
+function loadSheetsConfig(env = process.env) {
+  const spreadsheetId = env.GOOGLE_SHEET_ID || env.SPREADSHEET_ID;
+  const rawCredentials = env.GOOGLE_SERVICE_ACCOUNT_KEY || env.GOOGLE_SHEETS_CREDENTIALS;
+  if (!spreadsheetId) return null;
+
+  if ((!env.GOOGLE_SHEET_ID && env.SPREADSHEET_ID) || (!env.GOOGLE_SERVICE_ACCOUNT_KEY && env.GOOGLE_SHEETS_CREDENTIALS)) {
+    log.warn('⚠️ SPREADSHEET_ID / GOOGLE_SHEETS_CREDENTIALS are deprecated, use GOOGLE_SHEET_ID / GOOGLE_SERVICE_ACCOUNT_KEY');
+  }
+  if (!rawCredentials) {
+    throw new Error('GOOGLE_SERVICE_ACCOUNT_KEY must be set when GOOGLE_SHEET_ID is');
+  }
+
+  let credentials;
+  try {
+    credentials = JSON.parse(rawCredentials);
+  } catch (error) {
+    throw new Error(`GOOGLE_SERVICE_ACCOUNT_KEY is not valid JSON: ${error.message}`);
+  }
+
+  const profileSheet = (value, fallback) => (/^none$/i.test(value || '') ? null : value || fallback);
+  return {
+    spreadsheetId,
+    credentials,
+    sheetName: env.GOOGLE_SHEET_NAME || DEFAULT_SHEET_NAME,
+    companiesSheetName: profileSheet(env.GOOGLE_COMPANIES_SHEET_NAME, DEFAULT_COMPANIES_SHEET_NAME),
+    investorsSheetName: profileSheet(env.GOOGLE_INVESTORS_SHEET_NAME, DEFAULT_INVESTORS_SHEET_NAME),
+  };
+}
+
+async function getSheetsClient(config) {
+  const auth = new google.auth.GoogleAuth({
+    credentials: config.credentials,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+  return google.sheets({ version: 'v4', auth: await auth.getClient() });
+}
+
+function toRow(entry) {
+  return COLUMNS.map(column => {
+    const value = column.value(entry);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+async function readHeaders(sheets, config) {
+  const response = await withRetry('read headers', () => sheets.spreadsheets.values.get({
+    spreadsheetId: config.spreadsheetId,
+    range: `${config.sheetName}!1:1`,
+  }));
+  return (response.data.values && response.data.values[0]) || [];
+}
+
+// Throw unless `current` is HEADERS or a prefix of it; returns the missing headers
+function checkHeaders(current, label) {
+  const mismatched = current
+    .map((header, index) => ({ header, expected: HEADERS[index] }))
+    .filter(({ header, expected }) => header && header.trim() !== expected);
+  if (mismatched.length > 0) {
+    const details = mismatched.map(({ header, expected }) => `"${header}" (expected "${expected || 'nothing'}")`);
+    throw new Error(`${label} has unexpected headers: ${details.join(', ')}`);
+  }
+  return HEADERS.slice(current.length);
+}
+
+// Create the header row on an empty sheet, extend it when columns were added
+// at the end, and refuse to write into a sheet laid out differently.
+async function ensureHeaders(sheets, config) {
+  const current = await readHeaders(sheets, config);
+  checkHeaders(current, `Sheet ${config.sheetName}`);
+
+  if (current.length < HEADERS.length) {
+    await withRetry('write headers', () => sheets.spreadsheets.values.update({
+      spreadsheetId: config.spreadsheetId,
+      range: `${config.sheetName}!A1:${LAST_COLUMN}1`,
+      valueInputOption: 'RAW',
+      resource: { values: [HEADERS] },
+    }));
+    log.info(current.length === 0 ? '   📝 Created header row' : `   📝 Added headers: ${HEADERS.slice(current.length).join(', ')}`);
+  }
+}
+
+// Data rows (without the header), padded to the full width
+async function readRows(sheets, config) {
+  const response = await withRetry('read rows', () => sheets.spreadsheets.values.get({
+    spreadsheetId: config.spreadsheetId,
+    range: `${config.sheetName}!A2:${LAST_COLUMN}`,
+  }));
+  return (response.data.values || []).map(row => HEADERS.map((header, index) => row[index] || ''));
+}
+
+// Row index for a deal: by Deal ID, else by company/round/date or a known
+// source URL (rows written before deal IDs existed)
+function findRow(rows, entry) {
+  const idColumn = columnIndex('Deal ID');
+  if (entry.deal_id) {
+    const byId = rows.findIndex(row => row[idColumn] === entry.deal_id);
+    if (byId !== -1) return byId;
+  }
+
+  const company = columnIndex('Company');
+  const round = columnIndex('Funding Round');
+  const date = columnIndex('Funding News Date');
+  const source = columnIndex('Source');
+  const sourceUrls = (entry.sources || []).map(item => item.url).concat(entry.source);
+
+  return rows.findIndex(row =>
+    !row[idColumn] && (
+      (row[company].toLowerCase() === String(entry.company).toLowerCase() &&
+        row[round] === entry.funding_round &&
+        row[date] === entry.funding_news_date) ||
+      sourceUrls.includes(row[source])
+    )
+  );
+}
+
+// Connection failures worth another try (reset, refused, timed out, DNS hiccup)
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Rate limits (429), server errors (5xx) and dropped connections
+function isRetryable(error) {
+  const status = Number(error.response?.status || error.code);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return !error.response && NETWORK_ERRORS.includes(error.code);
+}
+
+// Retry API calls (Sheets, webhooks) that fail with isRetryable errors,
+// with exponential backoff: 1s, 2s, 4s, ... plus jitter.
+async function withRetry(label, fn, { retries = 5, baseDelay = 1000 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= retries) throw error;
+
+      const status = error.response?.status || error.code;
+      const delay = baseDelay * 2 ** attempt + Math.floor(Math.random() * baseDelay);
+      log.warn(`   ⏳ ${label} failed with ${status}, retrying in ${delay}ms (${attempt + 1}/${retries})`, { status, delay_ms: delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Diff entries against the current rows: which rows change, which are new,
+// and how many are already up to date.
+function planChanges(rows, entries) {
+  const existingCount = rows.length;
+  const working = rows.slice();
+  const touched = new Set(); // indexes of existing rows matched by an entry
+  const appends = [];
+
+  for (const entry of entries) {
+    const rowIndex = findRow(working, entry);
+    const rowData = toRow(entry);
+
+    if (rowIndex >= existingCount) {
+      // Same deal twice in one batch: replace the pending row
+      appends[rowIndex - existingCount] = rowData;
+      working[rowIndex] = rowData;
+    } else if (rowIndex >= 0) {
+      touched.add(rowIndex);
+      working[rowIndex] = rowData;
+    } else {
+      appends.push(rowData);
+      working.push(rowData);
+    }
+  }
+
+  const changed = Array.from(touched)
+    .sort((a, b) => a - b)
+    .filter(rowIndex => working[rowIndex].some((value, index) => value !== rows[rowIndex][index]));
+
+  return {
+    updates: changed.map(rowIndex => ({
+      rowNumber: rowIndex + 2, // +2: array is 0-indexed, row 1 is headers
+      previous: rows[rowIndex],
+      values: working[rowIndex],
+    })),
+    appends,
+    unchanged: touched.size - changed.length,
+  };
+}
+
+// Apply a plan with one batchUpdate per chunk of changed rows and a single append
+async function applyPlan(sheets, config, plan, { chunkSize = 500 } = {}) {
+  for (let i = 0; i < plan.updates.length; i += chunkSize) {
+    const chunk = plan.updates.slice(i, i + chunkSize);
+    await withRetry('batchUpdate', () => sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: config.spreadsheetId,
+      resource: {
+        valueInputOption: 'RAW',
+        data: chunk.map(update => ({
+          range: `${config.sheetName}!A${update.rowNumber}:${LAST_COLUMN}${update.rowNumber}`,
+          values: [update.values],
+        })),
+      },
+    }));
+  }
+
+  if (plan.appends.length > 0) {
+    await withRetry('append', () => sheets.spreadsheets.values.append({
+      spreadsheetId: config.spreadsheetId,
+      range: `${config.sheetName}!A:${LAST_COLUMN}`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: plan.appends },
+    }));
+  }
+}
+
+// Write entries to the sheet: update rows for known deals, append the rest.
+// Returns { added, updated, unchanged }; a no-op when the sheet is not configured.
+async function syncEntries(entries, config = loadSheetsConfig()) {
+  if (!config) {
+    log.warn('⚠️ GOOGLE_SHEET_ID not set, skipping Google Sheets update');
+    return { added: 0, updated: 0, unchanged: 0 };
+  }
+  if (entries.length === 0) return { added: 0, updated: 0, unchanged: 0 };
+
+  try {
+    log.info('Connecting to Google Sheets...');
+    const sheets = await getSheetsClient(config);
+    await ensureHeaders(sheets, config);
+
+    log.info('Reading existing data...');
+    const rows = await readRows(sheets, config);
+    log.info(`   Found ${rows.length} existing rows`);
+
+    const plan = planChanges(rows, entries);
+    log.info(`   ${plan.appends.length} to add, ${plan.updates.length} to update, ${plan.unchanged} unchanged`);
+    await applyPlan(sheets, config, plan);
+
+    return { added: plan.appends.length, updated: plan.updates.length, unchanged: plan.unchanged };
+  } catch (error) {
+    log.error(`Error updating Google Sheets: ${error.message}`);
+    if (error.response?.data) {
+      log.error(`Details: ${JSON.stringify(error.response.data, null, 2)}`);
+    }
+    throw error;
+  }
+}
+
+// Add a tab to the spreadsheet unless it already exists
+async function ensureTab(sheets, config, title) {
+  const response = await withRetry('read tabs', () => sheets.spreadsheets.get({
+    spreadsheetId: config.spreadsheetId,
+    fields: 'sheets.properties.title',
+  }));
+  if ((response.data.sheets || []).some(sheet => sheet.properties.title === title)) return;
+
+  await withRetry('add tab', () => sheets.spreadsheets.batchUpdate({
+    spreadsheetId: config.spreadsheetId,
+    resource: { requests: [{ addSheet: { properties: { title } } }] },
+  }));
+  log.info(`   📝 Created tab ${title}`);
+}
+
+// Replace a tab's contents with `items` laid out by `columns`. The header row
+// is checked like the deals tab's, so a hand-edited layout is never overwritten.
+async function replaceTab(sheets, config, title, columns, items) {
+  await ensureTab(sheets, config, title);
+  const headers = columns.map(column => column.header);
+  const lastColumn = columnLetter(columns.length);
+
+  const response = await withRetry('read headers', () => sheets.spreadsheets.values.get({
+    spreadsheetId: config.spreadsheetId,
+    range: `${title}!1:1`,
+  }));
+  const current = (response.data.values && response.data.values[0]) || [];
+  const mismatched = current.filter((header, index) => header && header.trim() !== headers[index]);
+  if (mismatched.length > 0) {
+    throw new Error(`Sheet ${title} has unexpected headers: ${mismatched.map(header => `"${header}"`).join(', ')}`);
+  }
+
+  const rows = items.map(item => columns.map(column => {
+    const value = column.value(item);
+    return value === undefined || value === null ? '' : String(value);
+  }));
+
+  await withRetry('clear', () => sheets.spreadsheets.values.clear({
+    spreadsheetId: config.spreadsheetId,
+    range: `${title}!A2:${lastColumn}`,
+  }));
+  await withRetry('write', () => sheets.spreadsheets.values.update({
+    spreadsheetId: config.spreadsheetId,
+    range: `${title}!A1:${lastColumn}${rows.length + 1}`,
+    valueInputOption: 'RAW',
+    resource: { values: [headers, ...rows] },
+  }));
+}
+
+// Rewrite the Companies and Investors tabs from { companies, investors }.
+// Returns { companies, investors } row counts; a no-op when not configured.
+async function syncProfiles(profiles, config = loadSheetsConfig()) {
+  if (!config) return { companies: 0, investors: 0 };
+
+  const sheets = await getSheetsClient(config);
+  const result = { companies: 0, investors: 0 };
+  if (config.companiesSheetName) {
+    await replaceTab(sheets, config, config.companiesSheetName, COMPANY_COLUMNS, profiles.companies);
+    result.companies = profiles.companies.length;
+  }
+  if (config.investorsSheetName) {
+    await replaceTab(sheets, config, config.investorsSheetName, INVESTOR_COLUMNS, profiles.investors);
+    result.investors = profiles.investors.length;
+  }
+  return result;
+}
+
+// Entries from a JSON file: an array, { entries }, or the old
+// sync-data.json shape { newEntries, updatedEntries }
+function readEntriesFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data.entries)) return data.entries;
+  return [...(data.newEntries || []), ...(data.updatedEntries || [])];
+}
+
+// Deals to sync: from a JSON file, or from the store (updated since `since`)
+async function loadSyncEntries({ since, file } = {}) {
+  if (file) return readEntriesFile(file);
+  const { openStore } = require('./store');
+  const store = await openStore();
+  try {
+    return store.loadEntries().filter(entry => !since || entry.last_updated >= since);
+  } finally {
+    store.close();
+  }
+}
+
+// Sync deals straight from the scraper's store, then the profiles built from
+// every deal (archived ones included)
+async function syncFromStore({ since } = {}) {
+  const { openStore } = require('./store');
+  const store = await openStore();
+  try {
+    const entries = store.loadEntries().filter(entry => !since || entry.last_updated >= since);
+    log.info(`   ${entries.length} deals to sync${since ? ` (updated since ${since})` : ''}`);
+    const result = await syncEntries(entries);
+
+    const profiles = await syncProfiles(buildProfiles(store.loadEntries({ includeArchived: true })));
+    log.info(`   ${profiles.companies} company and ${profiles.investors} investor profiles written`);
+    return result;
+  } finally {
+    store.close();
+  }
+}
+
+const PLAN_VERSION = 1;
+
+// Minimal RFC 4180 CSV reader (quoted fields, "" escapes, CRLF)
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Header row and data rows (padded) from a CSV download of the deals tab
+function readSnapshot(filePath) {
+  const [headers = [], ...rows] = parseCSV(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+  const missingHeaders = checkHeaders(headers, `Snapshot ${filePath}`);
+  return {
+    missingHeaders,
+    rows: rows
+      .filter(row => row.some(value => value !== ''))
+      .map(row => HEADERS.map((header, index) => row[index] || '')),
+  };
+}
+
+// Work out what a sync would change without writing anything. Diffs against
+// the live sheet, or against `snapshot` (a CSV of the deals tab) when given.
+// The plan can be saved as JSON and applied later with applyPlanFile.
+async function previewSync(entries, { config = loadSheetsConfig(), snapshot } = {}) {
+  let current;
+  if (snapshot) {
+    current = readSnapshot(snapshot);
+  } else {
+    if (!config) throw new Error('GOOGLE_SHEET_ID not set: pass a CSV snapshot of the sheet to preview against');
+    const sheets = await getSheetsClient(config);
+    const missingHeaders = checkHeaders(await readHeaders(sheets, config), `Sheet ${config.sheetName}`);
+    current = { missingHeaders, rows: await readRows(sheets, config) };
+  }
+
+  return {
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    spreadsheetId: snapshot ? '' : config.spreadsheetId,
+    sheetName: snapshot ? '' : config.sheetName,
+    source: snapshot ? path.resolve(snapshot) : 'sheet',
+    headers: HEADERS,
+    missingHeaders: current.missingHeaders,
+    baseRowCount: current.rows.length,
+    ...planChanges(current.rows, entries),
+  };
+}
+
+function summarizeRow(values) {
+  const pick = header => values[columnIndex(header)];
+  return [pick('Company'), pick('Event Type'), pick('Funding Round'), pick('Amount'), pick('Funding News Date')]
+    .filter(Boolean)
+    .join(' | ');
+}
+
+// Human-readable diff of a plan: one line per added row, changed cells per update
+function formatPlan(plan) {
+  const where = plan.source === 'sheet' ? `sheet ${plan.sheetName}` : `snapshot ${plan.source}`;
+  const lines = [
+    `Sync preview against ${where} (${plan.baseRowCount} rows)`,
+    `${plan.appends.length} to add, ${plan.updates.length} to update, ${plan.unchanged} unchanged`,
+  ];
+  if (plan.missingHeaders.length > 0) lines.push(`Headers to add: ${plan.missingHeaders.join(', ')}`);
+
+  const idColumn = columnIndex('Deal ID');
+  plan.appends.forEach((values, index) => {
+    lines.push('', `+ row ${plan.baseRowCount + index + 2}  ${values[idColumn]}`, `    ${summarizeRow(values)}`);
+  });
+  for (const update of plan.updates) {
+    lines.push('', `~ row ${update.rowNumber}  ${update.values[idColumn]}`);
+    HEADERS.forEach((header, index) => {
+      if (update.previous[index] !== update.values[index]) {
+        lines.push(`    ${header}: ${JSON.stringify(update.previous[index])} → ${JSON.stringify(update.values[index])}`);
+      }
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Reasons a plan no longer fits the sheet: rows it updates were edited or
+// moved since the preview, or deals it adds are already there
+function planConflicts(plan, rows) {
+  const idColumn = columnIndex('Deal ID');
+  const conflicts = [];
+  for (const update of plan.updates) {
+    const row = rows[update.rowNumber - 2];
+    if (!row || row.some((value, index) => value !== (update.previous[index] || ''))) {
+      conflicts.push(`row ${update.rowNumber} changed since the preview`);
+    }
+  }
+  const ids = new Set(rows.map(row => row[idColumn]).filter(Boolean));
+  for (const values of plan.appends) {
+    if (values[idColumn] && ids.has(values[idColumn])) conflicts.push(`${values[idColumn]} is already in the sheet`);
+  }
+  return conflicts;
+}
+
+// Apply a plan saved by a dry run. Refuses when the sheet layout or the rows
+// the plan touches changed since the preview, unless `force` is set.
+async function applyPlanFile(plan, { config = loadSheetsConfig(), force = false } = {}) {
+  if (!config) throw new Error('GOOGLE_SHEET_ID not set, cannot apply a plan');
+  if (plan.version !== PLAN_VERSION) throw new Error(`Unsupported plan version ${plan.version}`);
+  if (JSON.stringify(plan.headers) !== JSON.stringify(HEADERS)) {
+    throw new Error('The sheet layout changed since this plan was made; preview again');
+  }
+  if (plan.spreadsheetId && plan.spreadsheetId !== config.spreadsheetId) {
+    throw new Error(`Plan was made for spreadsheet ${plan.spreadsheetId}, not ${config.spreadsheetId}`);
+  }
+  if (plan.sheetName && plan.sheetName !== config.sheetName) {
+    throw new Error(`Plan was made for tab ${plan.sheetName}, not ${config.sheetName}`);
+  }
+
+  const sheets = await getSheetsClient(config);
+  await ensureHeaders(sheets, config);
+  const conflicts = planConflicts(plan, await readRows(sheets, config));
+  if (conflicts.length > 0 && !force) {
+    throw new Error(`Plan no longer matches the sheet (use --force to apply anyway):\n  - ${conflicts.join('\n  - ')}`);
+  }
+
+  await applyPlan(sheets, config, plan);
+  return { added: plan.appends.length, updated: plan.updates.length, unchanged: plan.unchanged };
+}
+
+// One sync as requested on the command line:
+//   { since, file }                       sync deals (and profiles, from the store)
+//   { dryRun, snapshot, plan, since, file } preview only, optionally saving the plan
+//   { apply, force }                      apply a saved plan
+// A preview also returns the formatted plan as `report`, for the caller to print.
+async function runSync(options = {}) {
+  if (options.apply) {
+    const plan = JSON.parse(fs.readFileSync(options.apply, 'utf8'));
+    log.info(`📋 Applying ${options.apply}: ${plan.appends.length} to add, ${plan.updates.length} to update`);
+    return applyPlanFile(plan, { force: options.force });
+  }
+
+  if (options.dryRun) {
+    const entries = await loadSyncEntries(options);
+    log.info(`   ${entries.length} deals to compare${options.since ? ` (updated since ${options.since})` : ''}`);
+    const plan = await previewSync(entries, { snapshot: options.snapshot });
+    if (options.plan) {
+      fs.writeFileSync(options.plan, JSON.stringify(plan, null, 2) + '\n');
+      log.info(`📋 Plan saved to ${options.plan}; apply it with --apply ${options.plan}`);
+    }
+    return { added: 0, updated: 0, unchanged: plan.unchanged, plan, report: formatPlan(plan) };
+  }
+
+  return options.file
+    ? syncEntries(readEntriesFile(options.file))
+    : syncFromStore(options);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--since') options.since = argv[++i];
+    else if (argv[i] === '--file') options.file = argv[++i];
+    else if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--snapshot') options.snapshot = argv[++i];
+    else if (argv[i] === '--plan') options.plan = argv[++i];
+    else if (argv[i] === '--apply') options.apply = argv[++i];
+    else if (argv[i] === '--force') options.force = true;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return options;
+}
+
+// runSync with the start and completion messages (or the preview), for `fundtrackr sync` and running this file
+async function runSyncWithProgress(options) {
+  if ((options.snapshot || options.plan) && !options.dryRun) throw new Error('--snapshot and --plan need --dry-run');
+  if (options.apply && (options.dryRun || options.since || options.file)) throw new Error('--apply takes no other options except --force');
+  console.log('📊 Starting Google Sheets sync...\n');
+  const result = await runSync(options);
+  if (options.dryRun) {
+    process.stdout.write(`\n${result.report}`);
+  } else {
+    console.log(`\n✅ Google Sheets sync complete! (${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged)`);
+  }
+  return result;
+}
+
+async function main() {
+  try {
+    await runSyncWithProgress(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error('❌ Sync error:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  COLUMNS,
+  HEADERS,
+  loadSheetsConfig,
+  syncEntries,
+  syncProfiles,
+  syncFromStore,
+  runSync,
+  runSyncWithProgress,
+  readEntriesFile,
+  planChanges,
+  applyPlan,
+  previewSync,
+  formatPlan,
+  applyPlanFile,
+  parseCSV,
+  withRetry,
+  isRetryable,
+  toRow,
+  findRow,
+};
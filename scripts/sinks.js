@@ -0,0 +1,387 @@
+// Output sinks
+//
+// Every destination for deals implements { name, isConfigured(settings), write(batch, settings) },
+// where `batch` is { newEntries, updatedEntries, allEntries, profiles, backfill, outbox } for the run
+// (`profiles` is { companies, investors } from scripts/profiles.js, if built;
+// `backfill` is true when the deals come from `fundtrackr backfill`;
+// `outbox` is the store, where sinks keep events they couldn't deliver, if any).
+// Which sinks run is set by `enabled` in config/sinks.json (or SINKS_CONFIG),
+// overridable with SINKS (comma-separated). A failing sink is reported but
+// doesn't stop the others.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { COLUMNS, syncEntries, syncProfiles, withRetry, isRetryable } = require('./sheets-sync');
+const { COMPANY_COLUMNS, INVESTOR_COLUMNS } = require('./profiles');
+const { log } = require('./logger');
+const { loadAlertsConfig, resolveChannels, sendAlerts } = require('./alerts');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT, 'config', 'sinks.json');
+
+const registry = new Map();
+
+function registerSink(sink) {
+  for (const key of ['name', 'write']) {
+    if (!sink || !sink[key]) throw new Error(`Sink is missing "${key}"`);
+  }
+  registry.set(sink.name, sink);
+  return sink;
+}
+
+function getSink(name) {
+  return registry.get(name) || null;
+}
+
+function listSinks() {
+  return Array.from(registry.keys());
+}
+
+// Write a file via temp + rename so readers never see a half-written export
+function writeFileAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
+
+function resolvePath(filePath) {
+  return path.isAbsolute(filePath) ? filePath : path.join(ROOT, filePath);
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with the same columns as the sheet (deals by default)
+function toCSV(entries, columns = COLUMNS) {
+  const lines = [columns.map(column => csvCell(column.header)).join(',')];
+  for (const entry of entries) {
+    lines.push(columns.map(column => csvCell(column.value(entry))).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Full records minus per-field provenance, one JSON object per line
+function toJSONL(entries) {
+  return entries.map(entry => {
+    const { provenance, ...record } = entry;
+    return JSON.stringify(record);
+  }).join('\n') + (entries.length ? '\n' : '');
+}
+
+// Write profile files next to a deals export when `companiesPath` /
+// `investorsPath` are set; returns summary fragments for the sink message
+function writeProfileFiles(profiles, settings, format) {
+  const written = [];
+  const outputs = [
+    ['companies', settings.companiesPath, COMPANY_COLUMNS],
+    ['investors', settings.investorsPath, INVESTOR_COLUMNS],
+  ];
+  for (const [kind, target, columns] of outputs) {
+    if (!profiles || !target) continue;
+    const filePath = resolvePath(target);
+    const items = profiles[kind];
+    writeFileAtomic(filePath, format === 'csv' ? toCSV(items, columns) : toJSONL(items));
+    written.push(`${items.length} ${kind} to ${path.relative(ROOT, filePath)}`);
+  }
+  return written.length ? `; ${written.join(', ')}` : '';
+}
+
+registerSink({
+  name: 'sheets',
+  label: 'Google Sheets',
+  write: async ({ newEntries, updatedEntries, profiles }) => {
+    const result = await syncEntries([...newEntries, ...updatedEntries]);
+    let message = `${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged`;
+    if (profiles) {
+      const written = await syncProfiles(profiles);
+      message += `; ${written.companies} companies, ${written.investors} investors`;
+    }
+    return message;
+  },
+});
+
+registerSink({
+  name: 'csv',
+  label: 'CSV file',
+  isConfigured: settings => Boolean(settings.path),
+  write: async ({ allEntries, profiles }, settings) => {
+    const filePath = resolvePath(settings.path);
+    writeFileAtomic(filePath, toCSV(allEntries));
+    return `${allEntries.length} deals written to ${path.relative(ROOT, filePath)}${writeProfileFiles(profiles, settings, 'csv')}`;
+  },
+});
+
+registerSink({
+  name: 'jsonl',
+  label: 'JSON Lines file',
+  isConfigured: settings => Boolean(settings.path),
+  write: async ({ allEntries, profiles }, settings) => {
+    const filePath = resolvePath(settings.path);
+    writeFileAtomic(filePath, toJSONL(allEntries));
+    return `${allEntries.length} deals written to ${path.relative(ROOT, filePath)}${writeProfileFiles(profiles, settings, 'jsonl')}`;
+  },
+});
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function postEvent({ event, deal }, settings) {
+  const { provenance, ...record } = deal;
+  const body = JSON.stringify({ event, deal: record });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'FundTrackr-Webhook/1.0',
+    'X-FundTrackr-Event': event,
+    'X-FundTrackr-Timestamp': timestamp,
+  };
+  if (settings.secret) headers['X-FundTrackr-Signature'] = signPayload(settings.secret, timestamp, body);
+
+  return axios.post(settings.url, body, { headers, timeout: settings.timeout || 10000 });
+}
+
+// POST one request per deal (Airtable/Notion automations, Zapier, custom services).
+// Each request is retried on 429/5xx/network errors; events still undelivered
+// are kept in the outbox and sent first on the next run, until maxAttempts runs.
+registerSink({
+  name: 'webhook',
+  label: 'Webhook',
+  isConfigured: settings => Boolean(settings.url),
+  write: async ({ newEntries, updatedEntries, outbox }, settings) => {
+    const events = newEntries.map(deal => ({ event: 'deal.created', deal_id: deal.deal_id, deal }));
+    if (settings.includeUpdates) {
+      events.push(...updatedEntries.map(deal => ({ event: 'deal.updated', deal_id: deal.deal_id, deal })));
+    }
+
+    // Leftovers from earlier runs go first; a deal that's gone is dropped
+    const queued = outbox ? outbox.listUndelivered('webhook') : [];
+    const pending = queued.filter(({ deal_id: dealId, event }) =>
+      !events.some(known => known.deal_id === dealId && known.event === event));
+    const gone = pending.filter(({ deal }) => !deal);
+    if (gone.length > 0) outbox.clearUndelivered('webhook', gone);
+    const resend = pending.filter(({ deal }) => deal);
+    const all = [...resend, ...events];
+
+    const delivered = [];
+    const undelivered = [];
+    let lastError = null;
+    for (const [index, event] of all.entries()) {
+      try {
+        await withRetry(`Webhook ${event.event} ${event.deal.company}`, () => postEvent(event, settings), {
+          retries: settings.retries ?? 3,
+          baseDelay: settings.retryDelay ?? 1000,
+        });
+        delivered.push(event);
+      } catch (error) {
+        lastError = error;
+        // Rejected by the receiver: skip this one; still failing after retries: stop for this run
+        if (!isRetryable(error)) {
+          undelivered.push(event);
+          continue;
+        }
+        undelivered.push(...all.slice(index));
+        break;
+      }
+    }
+
+    if (outbox && delivered.length > 0) outbox.clearUndelivered('webhook', delivered);
+    if (undelivered.length > 0) {
+      const sent = `${delivered.length} of ${all.length} events sent`;
+      if (!outbox) throw new Error(`${sent}: ${lastError.message}`);
+      const maxAttempts = settings.maxAttempts ?? 5;
+      const dropped = outbox.queueUndelivered('webhook', undelivered, lastError.message, maxAttempts);
+      const givenUp = dropped > 0 ? `, ${dropped} given up after ${maxAttempts} runs` : '';
+      throw new Error(`${sent}; ${undelivered.length} queued for the next run${givenUp}: ${lastError.message}`);
+    }
+    return resend.length > 0 ? `${delivered.length} events sent (${resend.length} from earlier runs)` : `${delivered.length} events sent`;
+  },
+});
+
+// Watchlist alerts for new deals over Slack webhook and/or email (config/alerts.json)
+registerSink({
+  name: 'alerts',
+  label: 'Watchlist alerts',
+  isConfigured: settings => Object.keys(resolveChannels(loadAlertsConfig(settings.config))).length > 0,
+  write: async ({ newEntries, backfill }, settings) => {
+    // Old deals found by a backfill aren't news
+    if (backfill) return `skipped for backfill (${newEntries.length} new deals)`;
+    const { matched, results } = await sendAlerts(newEntries, { config: loadAlertsConfig(settings.config) });
+    const failed = results.filter(result => !result.ok);
+    if (failed.length > 0) {
+      throw new Error(failed.map(result => `${result.channel}: ${result.error}`).join('; '));
+    }
+    const channels = results.map(result => result.channel);
+    return `${matched.length} of ${newEntries.length} new deals matched${channels.length ? `, sent to ${channels.join(', ')}` : ''}`;
+  },
+});
+
+const POSTGRES_COLUMNS = [
+  ['deal_id', 'TEXT PRIMARY KEY'],
+  ['company', 'TEXT NOT NULL'],
+  ['website', 'TEXT'],
+  ['event_type', 'TEXT'],
+  ['funding_round', 'TEXT'],
+  ['funding_news_date', 'DATE'],
+  ['amount', 'TEXT'],
+  ['amount_value', 'DOUBLE PRECISION'],
+  ['amount_currency', 'TEXT'],
+  ['amount_usd', 'DOUBLE PRECISION'],
+  ['amount_inr', 'DOUBLE PRECISION'],
+  ['acquirer', 'TEXT'],
+  ['listing_exchange', 'TEXT'],
+  ['investors', 'TEXT[]'],
+  ['industry', 'TEXT'],
+  ['description', 'TEXT'],
+  ['source', 'TEXT'],
+  ['sources', 'JSONB'],
+  ['conflicts', 'TEXT[]'],
+  ['last_updated', 'DATE'],
+];
+
+function postgresValue(entry, column) {
+  if (column === 'investors') return entry.investors || String(entry.investor_name || '').split(/\s*,\s*/).filter(Boolean);
+  if (column === 'sources') return JSON.stringify(entry.sources || []);
+  if (column === 'conflicts') return entry.conflicts || [];
+  if (column === 'event_type') return entry.event_type || 'equity';
+  return entry[column] === undefined || entry[column] === '' ? null : entry[column];
+}
+
+// Upsert new and updated deals into a Postgres table (created if missing,
+// with columns added since it was created)
+registerSink({
+  name: 'postgres',
+  label: 'Postgres',
+  isConfigured: settings => Boolean(settings.connectionString),
+  write: async ({ newEntries, updatedEntries }, settings) => {
+    const { Client } = require('pg');
+    const table = settings.table || 'funding_deals';
+    if (!/^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/i.test(table)) throw new Error(`Invalid table name "${table}"`);
+
+    const client = new Client({ connectionString: settings.connectionString });
+    await client.connect();
+    try {
+      await client.query(`CREATE TABLE IF NOT EXISTS ${table} (${POSTGRES_COLUMNS.map(([name, type]) => `${name} ${type}`).join(', ')})`);
+      for (const [name, type] of POSTGRES_COLUMNS.slice(1)) {
+        await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${name} ${type}`);
+      }
+
+      const names = POSTGRES_COLUMNS.map(([name]) => name);
+      const sql = `
+        INSERT INTO ${table} (${names.join(', ')})
+        VALUES (${names.map((name, index) => `$${index + 1}`).join(', ')})
+        ON CONFLICT (deal_id) DO UPDATE SET
+          ${names.slice(1).map(name => `${name} = EXCLUDED.${name}`).join(', ')}
+      `;
+
+      const entries = [...newEntries, ...updatedEntries];
+      await client.query('BEGIN');
+      try {
+        for (const entry of entries) {
+          await client.query(sql, names.map(name => postgresValue(entry, name)));
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+      return `${entries.length} deals upserted into ${table}`;
+    } finally {
+      await client.end();
+    }
+  },
+});
+
+// Env overrides applied on top of the file config
+function envSettings(env) {
+  return {
+    csv: { path: env.CSV_EXPORT_PATH, companiesPath: env.CSV_COMPANIES_PATH, investorsPath: env.CSV_INVESTORS_PATH },
+    jsonl: { path: env.JSONL_EXPORT_PATH, companiesPath: env.JSONL_COMPANIES_PATH, investorsPath: env.JSONL_INVESTORS_PATH },
+    webhook: { url: env.WEBHOOK_URL, secret: env.WEBHOOK_SECRET },
+    postgres: { connectionString: env.DATABASE_URL, table: env.POSTGRES_TABLE },
+    alerts: { config: env.ALERTS_CONFIG },
+  };
+}
+
+function loadSinksConfig(configPath = process.env.SINKS_CONFIG || DEFAULT_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read sinks config ${configPath}: ${error.message}`);
+  }
+
+  const errors = [];
+  if (!Array.isArray(config.enabled)) errors.push('"enabled" must be an array of sink names');
+  for (const name of [...(config.enabled || []), ...Object.keys(config.sinks || {})]) {
+    if (!registry.has(name)) errors.push(`unknown sink "${name}"`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${configPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+// Ordered list of { sink, settings } that are enabled and configured
+function resolveSinks(config = loadSinksConfig(), env = process.env) {
+  const names = env.SINKS
+    ? env.SINKS.split(',').map(name => name.trim()).filter(Boolean)
+    : config.enabled;
+  const overrides = envSettings(env);
+
+  const resolved = [];
+  for (const name of names) {
+    const sink = getSink(name);
+    if (!sink) throw new Error(`Unknown sink "${name}" (available: ${listSinks().join(', ')})`);
+
+    const settings = { ...(config.sinks || {})[name] };
+    for (const [key, value] of Object.entries(overrides[name] || {})) {
+      if (value) settings[key] = value;
+    }
+    if (sink.isConfigured && !sink.isConfigured(settings)) {
+      log.warn(`⚠️ Sink "${name}" is enabled but not configured, skipping`, { sink: name });
+      continue;
+    }
+    resolved.push({ sink, settings });
+  }
+  return resolved;
+}
+
+// Send a run's deals to every sink; returns [{ name, ok, message }]
+async function writeToSinks(batch, sinks = resolveSinks()) {
+  const results = [];
+  for (const { sink, settings } of sinks) {
+    const label = sink.label || sink.name;
+    const started = Date.now();
+    try {
+      log.info(`📤 Writing to ${label}...`, { sink: sink.name });
+      const message = await sink.write(batch, settings);
+      const ms = Date.now() - started;
+      log.info(`✅ ${label}: ${message}`, { sink: sink.name, ms });
+      results.push({ name: sink.name, ok: true, message, ms });
+    } catch (error) {
+      const ms = Date.now() - started;
+      log.error(`❌ ${label} failed: ${error.message}`, { sink: sink.name, ms });
+      results.push({ name: sink.name, ok: false, message: error.message, ms });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  registerSink,
+  getSink,
+  listSinks,
+  loadSinksConfig,
+  resolveSinks,
+  writeToSinks,
+  signPayload,
+  toCSV,
+  toJSONL,
+};
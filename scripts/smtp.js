@@ -0,0 +1,177 @@
+// Minimal SMTP client for alert and digest emails
+//
+// Enough of RFC 5321 to hand a message to a relay (Gmail, SES, Mailgun, a
+// local stand-in): implicit TLS (port 465) or STARTTLS when offered,
+// AUTH PLAIN, one message per connection. Messages are multipart/alternative
+// with a plain-text and an optional HTML part.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 15000;
+
+// Reads SMTP replies ("250-first line" ... "250 last line") off a socket
+function createReplyReader() {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  // Once the socket errors or closes, every later read fails with that error
+  let failure = null;
+
+  function push(reply) {
+    const next = waiting.shift();
+    if (next) next.resolve(reply);
+    else replies.push(reply);
+  }
+
+  return {
+    feed(chunk) {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        lines.push(line);
+        if (/^\d{3}(?: |$)/.test(line)) {
+          push({ code: Number(line.slice(0, 3)), lines: lines.map(item => item.slice(4)) });
+          lines = [];
+        }
+      }
+    },
+    fail(error) {
+      if (!failure) failure = error;
+      while (waiting.length) waiting.shift().reject(failure);
+    },
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+  };
+}
+
+function encodeHeader(value) {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function base64Body(text) {
+  return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// RFC 5322 message with text and (optionally) HTML alternatives
+function buildMessage({ from, to, subject, text, html }) {
+  const boundary = `fundtrackr-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = String(from).split('@')[1] || os.hostname();
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+  ];
+
+  const textPart = ['Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64', '', base64Body(text)];
+  if (!html) return [...headers, ...textPart].join('\r\n');
+
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...textPart,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(html),
+    `--${boundary}--`,
+  ].join('\r\n');
+}
+
+function connect({ host, port, secure, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP ${host}:${port} timed out`)));
+    socket.once('error', reject);
+  });
+}
+
+// Send one message. `settings`: { host, port, secure, user, pass, timeout };
+// `message`: { from, to: [...], subject, text, html }. Resolves with the
+// server's reply to the message data.
+async function sendMail(settings, message) {
+  const host = settings.host;
+  const port = Number(settings.port) || (settings.secure ? 465 : 587);
+  const timeout = settings.timeout || DEFAULT_TIMEOUT;
+  const recipients = [].concat(message.to).filter(Boolean);
+  if (!host) throw new Error('SMTP host is not set');
+  if (!message.from || recipients.length === 0) throw new Error('Email needs a from address and at least one recipient');
+
+  let socket = await connect({ host, port, secure: Boolean(settings.secure), timeout });
+  let reader = createReplyReader();
+  const attach = target => {
+    target.on('data', chunk => reader.feed(chunk));
+    target.on('error', error => reader.fail(error));
+    target.on('close', () => reader.fail(new Error('SMTP connection closed')));
+  };
+  attach(socket);
+
+  async function command(line, expected) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+      throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  try {
+    await command(null, [220]);
+    let hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!settings.secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+        upgraded.once('error', reject);
+      });
+      reader = createReplyReader();
+      attach(socket);
+      hello = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (settings.user) {
+      const token = Buffer.from(`\u0000${settings.user}\u0000${settings.pass || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${token}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${message.from.replace(/^.*<|>.*$/g, '')}>`, [250]);
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${recipient.replace(/^.*<|>.*$/g, '')}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+
+    // Dot-stuff lines that start with "."
+    const data = buildMessage({ ...message, to: recipients }).replace(/\r\n\./g, '\r\n..');
+    const reply = await command(`${data}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+    return reply.lines.join(' ');
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  sendMail,
+  buildMessage,
+  createReplyReader,
+};
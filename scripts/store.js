@@ -0,0 +1,656 @@
+// SQLite-backed deal store
+//
+// Replaces history.json. The database lives in a single file (FUNDTRACKR_DB,
+// default data/fundtrackr.db) that is rewritten atomically on save: the new
+// image goes to a temp file, is fsynced, then renamed over the old one, so a
+// crash mid-run leaves the previous version intact.
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { normalizeCompanyName, registerDeal, websiteDomain } = require('./entity-resolution');
+const { canonicalUrl } = require('./canonical-url');
+const { today, addDays } = require('./dates');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'data', 'fundtrackr.db');
+const DEFAULT_RETENTION_DAYS = 30;
+const LEGACY_HISTORY_PATHS = [
+  path.join(__dirname, 'history.json'),
+  path.join(__dirname, '..', 'history.json'),
+];
+
+// Each migration runs once, in order; PRAGMA user_version records progress
+const MIGRATIONS = [
+  `
+  CREATE TABLE companies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL UNIQUE,
+    website TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE investors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE deals (
+    id TEXT PRIMARY KEY,
+    company_id INTEGER NOT NULL REFERENCES companies(id),
+    company TEXT NOT NULL,
+    funding_round TEXT NOT NULL,
+    funding_news_date TEXT NOT NULL,
+    amount TEXT NOT NULL DEFAULT 'Undisclosed',
+    amount_value REAL,
+    amount_currency TEXT NOT NULL DEFAULT '',
+    amount_usd REAL,
+    amount_inr REAL,
+    website TEXT NOT NULL DEFAULT '',
+    industry TEXT NOT NULL DEFAULT '',
+    description TEXT NOT NULL DEFAULT '',
+    source TEXT NOT NULL,
+    extracted_by TEXT NOT NULL DEFAULT '',
+    conflicts TEXT NOT NULL DEFAULT '[]',
+    record TEXT NOT NULL,
+    last_updated TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX deals_date ON deals(funding_news_date);
+
+  CREATE TABLE deal_investors (
+    deal_id TEXT NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+    investor_id INTEGER NOT NULL REFERENCES investors(id),
+    PRIMARY KEY (deal_id, investor_id)
+  );
+
+  CREATE TABLE sources (
+    deal_id TEXT NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    host TEXT NOT NULL DEFAULT '',
+    company TEXT NOT NULL DEFAULT '',
+    funding_news_date TEXT NOT NULL DEFAULT '',
+    extracted_by TEXT NOT NULL DEFAULT '',
+    seen_at TEXT NOT NULL DEFAULT '',
+    PRIMARY KEY (deal_id, url)
+  );
+
+  CREATE TABLE quarantine (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reasons TEXT NOT NULL,
+    record TEXT NOT NULL,
+    article_title TEXT NOT NULL DEFAULT '',
+    article_link TEXT NOT NULL DEFAULT '',
+    quarantined_at TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE article_queue (
+    link TEXT PRIMARY KEY,
+    article TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT NOT NULL DEFAULT '',
+    enqueued_at TEXT NOT NULL
+  );
+
+  CREATE TABLE provider_usage (
+    provider TEXT NOT NULL,
+    day TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (provider, day)
+  );
+  `,
+  `
+  CREATE TABLE processed_articles (
+    url TEXT PRIMARY KEY,
+    guid TEXT NOT NULL DEFAULT '',
+    title TEXT NOT NULL DEFAULT '',
+    status TEXT NOT NULL,
+    deal_id TEXT NOT NULL DEFAULT '',
+    result TEXT NOT NULL DEFAULT '',
+    reason TEXT NOT NULL DEFAULT '',
+    article TEXT NOT NULL,
+    processed_at TEXT NOT NULL
+  );
+  CREATE INDEX processed_articles_guid ON processed_articles(guid);
+  CREATE INDEX processed_articles_status ON processed_articles(status, processed_at);
+  `,
+  `
+  ALTER TABLE deals ADD COLUMN event_type TEXT NOT NULL DEFAULT 'equity';
+  ALTER TABLE deals ADD COLUMN acquirer TEXT NOT NULL DEFAULT '';
+  ALTER TABLE deals ADD COLUMN listing_exchange TEXT NOT NULL DEFAULT '';
+  CREATE INDEX deals_event_type ON deals(event_type);
+  `,
+  `
+  ALTER TABLE deals ADD COLUMN archived INTEGER NOT NULL DEFAULT 0;
+  `,
+  `
+  CREATE TABLE backfill_pages (
+    url TEXT NOT NULL,
+    range TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    articles INTEGER NOT NULL DEFAULT 0,
+    oldest TEXT NOT NULL DEFAULT '',
+    fetched_at TEXT NOT NULL,
+    PRIMARY KEY (url, range)
+  );
+  `,
+  `
+  CREATE TABLE runs (
+    id TEXT PRIMARY KEY,
+    mode TEXT NOT NULL,
+    status TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    report TEXT NOT NULL
+  );
+  CREATE INDEX runs_started_at ON runs(started_at);
+  `,
+  `
+  CREATE TABLE sink_outbox (
+    sink TEXT NOT NULL,
+    deal_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT NOT NULL DEFAULT '',
+    queued_at TEXT NOT NULL,
+    PRIMARY KEY (sink, deal_id, event)
+  );
+  `,
+];
+
+// Fields an archived deal keeps for company and investor profiles
+const ARCHIVED_FIELDS = [
+  'deal_id', 'company', 'website', 'event_type', 'funding_round', 'funding_news_date', 'amount',
+  'amount_value', 'amount_currency', 'amount_usd', 'amount_inr', 'investor_name', 'investors',
+  'acquirer', 'listing_exchange', 'industry', 'source', 'last_updated',
+];
+
+// processed_articles.status values, and those that count as failures (retryable)
+const ARTICLE_STATUSES = ['new', 'merged', 'no_data', 'quarantined', 'error', 'skipped'];
+const FAILED_STATUSES = ['no_data', 'quarantined', 'error'];
+
+let sqlPromise = null;
+
+function loadSqlJs() {
+  if (!sqlPromise) sqlPromise = initSqlJs();
+  return sqlPromise;
+}
+
+// HISTORY_RETENTION_DAYS: number of days to keep, or "none"/0 to keep everything
+function retentionDays(value = process.env.HISTORY_RETENTION_DAYS) {
+  if (value === undefined || value === '') return DEFAULT_RETENTION_DAYS;
+  if (/^(none|0|off|forever)$/i.test(String(value))) return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`HISTORY_RETENTION_DAYS must be a whole number of days or "none", got "${value}"`);
+  }
+  return days;
+}
+
+function migrate(db) {
+  const [{ values }] = db.exec('PRAGMA user_version');
+  const current = values[0][0];
+
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    db.exec('BEGIN');
+    try {
+      db.exec(MIGRATIONS[version]);
+      db.exec(`PRAGMA user_version = ${version + 1}`);
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw new Error(`Migration ${version + 1} failed: ${error.message}`);
+    }
+  }
+}
+
+// Write the database image atomically (temp file + fsync + rename)
+function writeAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+function all(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  const rows = [];
+  try {
+    statement.bind(params);
+    while (statement.step()) rows.push(statement.getAsObject());
+  } finally {
+    statement.free();
+  }
+  return rows;
+}
+
+function run(db, sql, params = []) {
+  db.run(sql, params);
+}
+
+function upsertCompany(db, entry) {
+  const normalized = normalizeCompanyName(entry.company);
+  run(db, `
+    INSERT INTO companies (name, normalized_name, website, created_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(normalized_name) DO UPDATE SET
+      website = CASE WHEN companies.website = '' THEN excluded.website ELSE companies.website END
+  `, [entry.company, normalized, entry.website || '', today()]);
+  return all(db, 'SELECT id FROM companies WHERE normalized_name = ?', [normalized])[0].id;
+}
+
+function upsertInvestor(db, name) {
+  const normalized = normalizeCompanyName(name);
+  run(db, `
+    INSERT INTO investors (name, normalized_name, created_at) VALUES (?, ?, ?)
+    ON CONFLICT(normalized_name) DO NOTHING
+  `, [name, normalized, today()]);
+  return all(db, 'SELECT id FROM investors WHERE normalized_name = ?', [normalized])[0].id;
+}
+
+function investorNames(entry) {
+  if (Array.isArray(entry.investors)) return entry.investors;
+  return String(entry.investor_name || '').split(/\s*,\s*/).filter(Boolean);
+}
+
+function upsertDeal(db, entry) {
+  const companyId = upsertCompany(db, entry);
+
+  run(db, `
+    INSERT INTO deals (
+      id, company_id, company, event_type, funding_round, funding_news_date, amount, amount_value, amount_currency,
+      amount_usd, amount_inr, acquirer, listing_exchange, website, industry, description, source, extracted_by,
+      conflicts, record, last_updated, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      company_id = excluded.company_id, company = excluded.company, event_type = excluded.event_type,
+      funding_round = excluded.funding_round, funding_news_date = excluded.funding_news_date, amount = excluded.amount,
+      amount_value = excluded.amount_value, amount_currency = excluded.amount_currency, amount_usd = excluded.amount_usd,
+      amount_inr = excluded.amount_inr, acquirer = excluded.acquirer, listing_exchange = excluded.listing_exchange,
+      website = excluded.website, industry = excluded.industry, description = excluded.description,
+      source = excluded.source, extracted_by = excluded.extracted_by, conflicts = excluded.conflicts,
+      record = excluded.record, last_updated = excluded.last_updated, archived = 0
+  `, [
+    entry.deal_id, companyId, entry.company, entry.event_type || 'equity', entry.funding_round ?? 'Unknown',
+    entry.funding_news_date, entry.amount || 'Undisclosed', entry.amount_value ?? null, entry.amount_currency || '',
+    entry.amount_usd ?? null, entry.amount_inr ?? null, entry.acquirer || '', entry.listing_exchange || '',
+    entry.website || '', entry.industry || '', entry.description || '', entry.source || '', entry.extracted_by || '',
+    JSON.stringify(entry.conflicts || []), JSON.stringify(entry), entry.last_updated || today(), today(),
+  ]);
+
+  run(db, 'DELETE FROM deal_investors WHERE deal_id = ?', [entry.deal_id]);
+  for (const name of investorNames(entry)) {
+    run(db, 'INSERT OR IGNORE INTO deal_investors (deal_id, investor_id) VALUES (?, ?)', [entry.deal_id, upsertInvestor(db, name)]);
+  }
+
+  for (const source of entry.sources || []) {
+    run(db, `
+      INSERT INTO sources (deal_id, url, host, company, funding_news_date, extracted_by, seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(deal_id, url) DO NOTHING
+    `, [
+      entry.deal_id, source.url || '', source.host || websiteDomain(source.url), source.company || '',
+      source.funding_news_date || '', source.extracted_by || '', source.seen_at || '',
+    ]);
+  }
+}
+
+// Open (creating and migrating if needed) the store at `dbPath`
+async function openStore(dbPath = process.env.FUNDTRACKR_DB || DEFAULT_DB_PATH) {
+  const SQL = await loadSqlJs();
+  const db = fs.existsSync(dbPath) ? new SQL.Database(fs.readFileSync(dbPath)) : new SQL.Database();
+  db.exec('PRAGMA foreign_keys = ON');
+  migrate(db);
+
+  // Run `fn` inside a transaction, rolling back on error
+  function transaction(fn) {
+    db.exec('BEGIN');
+    try {
+      const result = fn();
+      db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  return {
+    path: dbPath,
+
+    countDeals() {
+      return all(db, 'SELECT COUNT(*) AS count FROM deals')[0].count;
+    },
+
+    // Entries in the shape the scraper works with, oldest first. Archived
+    // deals (past retention, summary fields only) are left out unless asked for.
+    loadEntries({ includeArchived = false } = {}) {
+      return all(db, `SELECT record FROM deals ${includeArchived ? '' : 'WHERE archived = 0'} ORDER BY funding_news_date, created_at`)
+        .map(row => JSON.parse(row.record));
+    },
+
+    // Deals first recorded between two dates (inclusive), archived or not
+    loadNewEntries(from, to) {
+      return all(db, 'SELECT record FROM deals WHERE created_at >= ? AND created_at <= ? ORDER BY funding_news_date, created_at', [from, to])
+        .map(row => JSON.parse(row.record));
+    },
+
+    loadQuarantine() {
+      return all(db, 'SELECT * FROM quarantine ORDER BY id').map(row => ({
+        reasons: JSON.parse(row.reasons),
+        record: JSON.parse(row.record),
+        article: { title: row.article_title, link: row.article_link },
+        quarantined_at: row.quarantined_at,
+      }));
+    },
+
+    saveEntries(entries) {
+      transaction(() => entries.forEach(entry => upsertDeal(db, registerDeal(entry))));
+    },
+
+    addQuarantine(items) {
+      transaction(() => {
+        for (const item of items) {
+          run(db, `
+            INSERT INTO quarantine (reasons, record, article_title, article_link, quarantined_at)
+            VALUES (?, ?, ?, ?, ?)
+          `, [
+            JSON.stringify(item.reasons), JSON.stringify(item.record),
+            item.article?.title || '', item.article?.link || '', item.quarantined_at,
+          ]);
+        }
+      });
+    },
+
+    // Archive deals and drop quarantine items older than the retention window
+    // (null = keep all). Archived deals no longer take part in deduplication or
+    // deal exports; they keep their summary fields for profiles and lose
+    // provenance, description and sources.
+    applyRetention(days = retentionDays()) {
+      if (days === null) return { deals: 0, quarantine: 0 };
+      const cutoffDate = addDays(today(), -days);
+
+      return transaction(() => {
+        const expired = all(db, 'SELECT id, record FROM deals WHERE archived = 0 AND funding_news_date < ?', [cutoffDate]);
+        for (const row of expired) {
+          const record = JSON.parse(row.record);
+          const summary = Object.fromEntries(ARCHIVED_FIELDS.filter(field => field in record).map(field => [field, record[field]]));
+          run(db, "UPDATE deals SET archived = 1, description = '', conflicts = '[]', record = ? WHERE id = ?", [JSON.stringify(summary), row.id]);
+          run(db, 'DELETE FROM sources WHERE deal_id = ?', [row.id]);
+        }
+        const deals = expired.length;
+        run(db, 'DELETE FROM quarantine WHERE quarantined_at < ?', [cutoffDate]);
+        const quarantine = db.getRowsModified();
+        run(db, 'DELETE FROM provider_usage WHERE day < ?', [cutoffDate]);
+        return { deals, quarantine };
+      });
+    },
+
+    // Import a legacy history.json ({ entries: [...] } or the old { companies: [...] })
+    importHistoryFile(filePath) {
+      const history = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const entries = (history.entries || history.companies || [])
+        .filter(entry => entry && entry.company && entry.funding_news_date);
+      this.saveEntries(entries);
+      if (Array.isArray(history.quarantine)) this.addQuarantine(history.quarantine);
+      return entries.length;
+    },
+
+    // Add articles to the work queue; already-queued links are left alone.
+    // Returns how many were added.
+    enqueueArticles(articles) {
+      return transaction(() => {
+        let added = 0;
+        const now = new Date().toISOString();
+        for (const article of articles) {
+          run(db, `
+            INSERT INTO article_queue (link, article, enqueued_at) VALUES (?, ?, ?)
+            ON CONFLICT(link) DO NOTHING
+          `, [canonicalUrl(article.link), JSON.stringify(article), now]);
+          added += db.getRowsModified();
+        }
+        return added;
+      });
+    },
+
+    countQueue() {
+      return all(db, 'SELECT COUNT(*) AS count FROM article_queue')[0].count;
+    },
+
+    // Queued articles, oldest first (limit 0 = all)
+    loadQueue(limit = 0) {
+      return all(db, `SELECT article FROM article_queue ORDER BY enqueued_at, rowid${limit ? ' LIMIT ?' : ''}`, limit ? [limit] : [])
+        .map(row => JSON.parse(row.article));
+    },
+
+    // Queue rows from before URLs were canonicalized are keyed by the raw link
+    completeQueued(link) {
+      run(db, 'DELETE FROM article_queue WHERE link IN (?, ?)', [link, canonicalUrl(link)]);
+    },
+
+    // Record a processing error; the article is dropped once it has failed
+    // `maxAttempts` times. Returns true if it was dropped.
+    failQueued(link, message, maxAttempts) {
+      const keys = [link, canonicalUrl(link)];
+      run(db, 'UPDATE article_queue SET attempts = attempts + 1, last_error = ? WHERE link IN (?, ?)', [message, ...keys]);
+      run(db, 'DELETE FROM article_queue WHERE link IN (?, ?) AND attempts >= ?', [...keys, maxAttempts]);
+      return db.getRowsModified() > 0;
+    },
+
+    // Drop articles that have waited longer than `days`
+    pruneQueue(days) {
+      const cutoff = new Date(Date.now() - days * 86400000).toISOString();
+      run(db, 'DELETE FROM article_queue WHERE enqueued_at < ?', [cutoff]);
+      return db.getRowsModified();
+    },
+
+    // The processed-articles record for an article (matched by canonical URL
+    // or GUID), or null if it hasn't been handled yet
+    findProcessed(article) {
+      const [row] = all(db, `
+        SELECT url, guid, title, status, deal_id, result, reason, processed_at FROM processed_articles
+        WHERE url = ? OR (guid != '' AND guid = ?)
+        LIMIT 1
+      `, [canonicalUrl(article.link), article.guid || '']);
+      if (!row) return null;
+      return { ...row, result: row.result ? JSON.parse(row.result) : null };
+    },
+
+    // Remember how an article was handled: status is new/merged (with the
+    // deal and extracted record) or no_data/quarantined/error (with a reason)
+    markProcessed(article, { status, dealId = '', result = null, reason = '' }) {
+      // The fetched page text is cached separately (article-fetcher.js)
+      const { fullText, ...stored } = article;
+      run(db, `
+        INSERT INTO processed_articles (url, guid, title, status, deal_id, result, reason, article, processed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(url) DO UPDATE SET
+          guid = excluded.guid, title = excluded.title, status = excluded.status, deal_id = excluded.deal_id,
+          result = excluded.result, reason = excluded.reason, article = excluded.article,
+          processed_at = excluded.processed_at
+      `, [
+        canonicalUrl(article.link), article.guid || '', article.title || '', status, dealId,
+        result ? JSON.stringify(result) : '', reason, JSON.stringify(stored), new Date().toISOString(),
+      ]);
+    },
+
+    // Processed articles matching { status, failed, since, url }, newest first
+    listProcessed({ status, failed = false, since, url } = {}) {
+      const where = [];
+      const params = [];
+      if (status) {
+        where.push('status = ?');
+        params.push(status);
+      }
+      if (failed) {
+        where.push(`status IN (${FAILED_STATUSES.map(() => '?').join(', ')})`);
+        params.push(...FAILED_STATUSES);
+      }
+      if (since) {
+        where.push('processed_at >= ?');
+        params.push(since);
+      }
+      if (url) {
+        where.push('url = ?');
+        params.push(canonicalUrl(url));
+      }
+      return all(db, `
+        SELECT url, guid, title, status, deal_id, reason, article, processed_at FROM processed_articles
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY processed_at DESC
+      `, params).map(row => ({ ...row, article: JSON.parse(row.article) }));
+    },
+
+    // Forget processed articles and put them back on the work queue
+    retryProcessed(rows) {
+      transaction(() => {
+        for (const row of rows) run(db, 'DELETE FROM processed_articles WHERE url = ?', [row.url]);
+      });
+      return this.enqueueArticles(rows.map(row => row.article));
+    },
+
+    // Drop processed-article records older than `days`
+    pruneProcessed(days) {
+      const cutoff = new Date(Date.now() - days * 86400000).toISOString();
+      run(db, 'DELETE FROM processed_articles WHERE processed_at < ?', [cutoff]);
+      return db.getRowsModified();
+    },
+
+    // Listing pages (feed pages, archives, sitemaps) a backfill of `range`
+    // ("<from>..<to>") has already walked: { kind, articles, oldest } or null
+    findBackfillPage(url, range) {
+      const [row] = all(db, 'SELECT kind, articles, oldest, fetched_at FROM backfill_pages WHERE url = ? AND range = ?', [url, range]);
+      return row || null;
+    },
+
+    markBackfillPage(url, range, { kind, articles = 0, oldest = '' }) {
+      run(db, `
+        INSERT INTO backfill_pages (url, range, kind, articles, oldest, fetched_at) VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(url, range) DO UPDATE SET
+          kind = excluded.kind, articles = excluded.articles, oldest = excluded.oldest, fetched_at = excluded.fetched_at
+      `, [url, range, kind, articles, oldest, new Date().toISOString()]);
+    },
+
+    // Forget backfill progress for `range` (all ranges if omitted); returns rows removed
+    clearBackfillPages(range) {
+      if (range) run(db, 'DELETE FROM backfill_pages WHERE range = ?', [range]);
+      else run(db, 'DELETE FROM backfill_pages');
+      return db.getRowsModified();
+    },
+
+    // Append a finished run report (scripts/run-report.js) to the run history
+    saveRun(report) {
+      run(db, `
+        INSERT INTO runs (id, mode, status, started_at, report) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET status = excluded.status, report = excluded.report
+      `, [report.id, report.mode, report.status, report.started_at, JSON.stringify(report)]);
+    },
+
+    // Run reports, newest first: the last `limit`, or the run with `id`
+    listRuns({ limit = 10, id } = {}) {
+      const rows = id
+        ? all(db, 'SELECT report FROM runs WHERE id = ?', [id])
+        : all(db, 'SELECT report FROM runs ORDER BY started_at DESC LIMIT ?', [limit]);
+      return rows.map(row => JSON.parse(row.report));
+    },
+
+    // Drop run reports older than `days`
+    pruneRuns(days) {
+      const cutoff = new Date(Date.now() - days * 86400000).toISOString();
+      run(db, 'DELETE FROM runs WHERE started_at < ?', [cutoff]);
+      return db.getRowsModified();
+    },
+
+    // Deal events a sink couldn't deliver, oldest first, each with the deal's
+    // current record (null if the deal is gone): [{ deal_id, event, attempts, last_error, deal }]
+    listUndelivered(sink) {
+      return all(db, `
+        SELECT o.deal_id, o.event, o.attempts, o.last_error, o.queued_at, d.record FROM sink_outbox o
+        LEFT JOIN deals d ON d.id = o.deal_id
+        WHERE o.sink = ?
+        ORDER BY o.queued_at, o.deal_id
+      `, [sink]).map(({ record, ...row }) => ({ ...row, deal: record ? JSON.parse(record) : null }));
+    },
+
+    // Keep [{ deal_id, event }] for the sink's next run. An event is dropped
+    // once it has failed `maxAttempts` times; returns how many were dropped.
+    queueUndelivered(sink, events, message, maxAttempts) {
+      return transaction(() => {
+        const now = new Date().toISOString();
+        for (const { deal_id: dealId, event } of events) {
+          run(db, `
+            INSERT INTO sink_outbox (sink, deal_id, event, attempts, last_error, queued_at) VALUES (?, ?, ?, 1, ?, ?)
+            ON CONFLICT(sink, deal_id, event) DO UPDATE SET attempts = attempts + 1, last_error = excluded.last_error
+          `, [sink, dealId, event, message, now]);
+        }
+        run(db, 'DELETE FROM sink_outbox WHERE sink = ? AND attempts >= ?', [sink, maxAttempts]);
+        return db.getRowsModified();
+      });
+    },
+
+    // Forget delivered (or abandoned) events
+    clearUndelivered(sink, events) {
+      transaction(() => {
+        for (const { deal_id: dealId, event } of events) {
+          run(db, 'DELETE FROM sink_outbox WHERE sink = ? AND deal_id = ? AND event = ?', [sink, dealId, event]);
+        }
+      });
+    },
+
+    // { provider: requests } made on `day` (YYYY-MM-DD, UTC)
+    getProviderUsage(day) {
+      const usage = {};
+      for (const row of all(db, 'SELECT provider, requests FROM provider_usage WHERE day = ?', [day])) {
+        usage[row.provider] = row.requests;
+      }
+      return usage;
+    },
+
+    recordProviderUsage(provider, day) {
+      run(db, `
+        INSERT INTO provider_usage (provider, day, requests) VALUES (?, ?, 1)
+        ON CONFLICT(provider, day) DO UPDATE SET requests = requests + 1
+      `, [provider, day]);
+    },
+
+    query(sql, params) {
+      return all(db, sql, params);
+    },
+
+    save() {
+      writeAtomic(dbPath, Buffer.from(db.export()));
+      // export() resets connection-level pragmas
+      db.exec('PRAGMA foreign_keys = ON');
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+// Import legacy history files into an empty store (first run after upgrading)
+function importLegacyHistory(store, candidates = LEGACY_HISTORY_PATHS) {
+  let imported = 0;
+  for (const filePath of candidates) {
+    if (fs.existsSync(filePath)) imported += store.importHistoryFile(filePath);
+  }
+  return imported;
+}
+
+module.exports = {
+  openStore,
+  importLegacyHistory,
+  retentionDays,
+  MIGRATIONS,
+  ARTICLE_STATUSES,
+  FAILED_STATUSES,
+  DEFAULT_DB_PATH,
+};
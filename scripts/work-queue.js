@@ -0,0 +1,67 @@
+// Article work queue
+//
+// Funding articles are queued in the deal store instead of being processed
+// straight from the feeds, so nothing is dropped on a busy day: whatever a run
+// doesn't get to (time budget, article limit, exhausted quotas, a crash) is
+// picked up by the next one. Tuned with env vars:
+//
+//   QUEUE_CONCURRENCY          articles processed at once (default 2)
+//   QUEUE_MAX_ARTICLES         stop after this many per run (default 0 = no limit)
+//   QUEUE_TIME_BUDGET_MINUTES  stop starting new articles after this long (default 0 = no limit)
+//   QUEUE_MAX_ATTEMPTS         drop an article after this many errors (default 3)
+//   QUEUE_MAX_AGE_DAYS         drop articles queued longer than this (default 14)
+
+const DEFAULTS = {
+  concurrency: 2,
+  maxArticles: 0,
+  timeBudgetMinutes: 0,
+  maxAttempts: 3,
+  maxAgeDays: 14,
+};
+
+const ENV_NAMES = {
+  concurrency: 'QUEUE_CONCURRENCY',
+  maxArticles: 'QUEUE_MAX_ARTICLES',
+  timeBudgetMinutes: 'QUEUE_TIME_BUDGET_MINUTES',
+  maxAttempts: 'QUEUE_MAX_ATTEMPTS',
+  maxAgeDays: 'QUEUE_MAX_AGE_DAYS',
+};
+
+function loadQueueSettings(env = process.env) {
+  const settings = { ...DEFAULTS };
+  for (const [key, name] of Object.entries(ENV_NAMES)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a whole number, got "${env[name]}"`);
+    }
+    settings[key] = value;
+  }
+  if (settings.concurrency < 1) throw new Error(`${ENV_NAMES.concurrency} must be at least 1`);
+  if (settings.maxAttempts < 1) throw new Error(`${ENV_NAMES.maxAttempts} must be at least 1`);
+  return settings;
+}
+
+// Run `worker(item, index)` over `items` with at most `concurrency` in flight.
+// Once `shouldStop()` returns true no new items are started; in-flight ones
+// finish. Resolves with the number of items started.
+async function runWithConcurrency(items, worker, { concurrency = 1, shouldStop = () => false } = {}) {
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) workers.push(runWorker());
+  await Promise.all(workers);
+  return next;
+}
+
+module.exports = {
+  loadQueueSettings,
+  runWithConcurrency,
+};